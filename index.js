@@ -1,9 +1,23 @@
 const express = require('express');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const nodemailer = require('nodemailer');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Readable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
 const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 require('dotenv').config();
 
+// Tokens are worthless without a real secret - refuse to start rather than sign with a guessable one
+if (!process.env.ACCESS_TOKEN_SECRET) {
+  throw new Error('ACCESS_TOKEN_SECRET is not set. Add it to your environment before starting the server.');
+}
+
 const app = express();
 const port = process.env.PORT || 5000;
 
@@ -22,7 +36,17 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+const parseJson = express.json({
+  // Keep the raw bytes around - Stripe webhook signatures are computed over them
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+});
+// Bulk imports are parsed on their route, after authentication, with a larger limit
+const IMPORT_BODY_LIMIT = '2mb';
+app.use((req, res, next) => (req.path === '/tickets/import' ? next() : parseJson(req, res, next)));
 
 // ============ MONGODB CONNECTION ============
 const uri = process.env.MONGODB_URI;
@@ -45,6 +69,24 @@ let usersCollection;
 let ticketsCollection;
 let bookingsCollection;
 let paymentsCollection;
+let seatHoldsCollection;
+let refundsCollection;
+let schedulesCollection;
+let couponsCollection;
+let couponRedemptionsCollection;
+let reviewsCollection;
+let waitlistCollection;
+let vendorApplicationsCollection;
+let auditLogsCollection;
+let ticketRevisionsCollection;
+let commissionRulesCollection;
+let ledgerEntriesCollection;
+let settlementsCollection;
+let notificationsCollection;
+let refreshTokensCollection;
+let revokedTokensCollection;
+let locationsCollection;
+let paymentSessionsCollection;
 
 // ✅ Connect Function (Better Error Handling)
 async function connectDB() {
@@ -63,6 +105,96 @@ async function connectDB() {
     ticketsCollection = db.collection("tickets");
     bookingsCollection = db.collection("bookings");
     paymentsCollection = db.collection("payments");
+    seatHoldsCollection = db.collection("seatHolds");
+    refundsCollection = db.collection("refunds");
+    schedulesCollection = db.collection("schedules");
+    couponsCollection = db.collection("coupons");
+    couponRedemptionsCollection = db.collection("couponRedemptions");
+    reviewsCollection = db.collection("reviews");
+    waitlistCollection = db.collection("waitlist");
+    vendorApplicationsCollection = db.collection("vendorApplications");
+    auditLogsCollection = db.collection("auditLogs");
+    ticketRevisionsCollection = db.collection("ticketRevisions");
+    commissionRulesCollection = db.collection("commissionRules");
+    ledgerEntriesCollection = db.collection("ledgerEntries");
+    settlementsCollection = db.collection("settlements");
+    notificationsCollection = db.collection("notifications");
+    refreshTokensCollection = db.collection("refreshTokens");
+    revokedTokensCollection = db.collection("revokedTokens");
+    locationsCollection = db.collection("locations");
+    paymentSessionsCollection = db.collection("paymentSessions");
+
+    // One document per held/booked seat - the unique index is what stops double booking
+    await seatHoldsCollection.createIndex({ ticketId: 1, seatNo: 1 }, { unique: true });
+    await seatHoldsCollection.createIndex({ bookingId: 1 });
+    // A schedule produces at most one ticket per date
+    await ticketsCollection.createIndex(
+      { scheduleId: 1, instanceDate: 1 },
+      { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+    );
+    await couponsCollection.createIndex({ code: 1 }, { unique: true });
+    await couponRedemptionsCollection.createIndex({ bookingId: 1 }, { unique: true });
+    await couponRedemptionsCollection.createIndex({ couponId: 1, userEmail: 1 });
+    // One review per passenger per trip
+    await reviewsCollection.createIndex({ ticketId: 1, userEmail: 1 }, { unique: true });
+    await waitlistCollection.createIndex({ ticketId: 1, status: 1, createdAt: 1 });
+    await vendorApplicationsCollection.createIndex({ userEmail: 1, submittedAt: -1 });
+    await vendorApplicationsCollection.createIndex({ status: 1, submittedAt: -1 });
+    await auditLogsCollection.createIndex({ createdAt: -1 });
+    await auditLogsCollection.createIndex({ actorEmail: 1, createdAt: -1 });
+    await auditLogsCollection.createIndex({ action: 1, createdAt: -1 });
+    await auditLogsCollection.createIndex({ targetType: 1, targetId: 1, createdAt: -1 });
+    // Revision numbers come from a counter on the ticket; the unique index backs it up.
+    // Replace the non-unique index earlier versions created under the same name.
+    const revisionIndexes = await ticketRevisionsCollection.indexes();
+    if (revisionIndexes.some(index => index.name === 'ticketId_1_revision_-1' && !index.unique)) {
+      await ticketRevisionsCollection.dropIndex('ticketId_1_revision_-1');
+    }
+    await ticketRevisionsCollection.createIndex({ ticketId: 1, revision: -1 }, { unique: true });
+    await commissionRulesCollection.createIndex({ scope: 1, vendorEmail: 1, transportType: 1 }, { unique: true });
+    await ledgerEntriesCollection.createIndex({ account: 1, settlementId: 1, createdAt: 1 });
+    await ledgerEntriesCollection.createIndex({ journalId: 1 });
+    await ledgerEntriesCollection.createIndex({ vendorEmail: 1, createdAt: -1 });
+    await settlementsCollection.createIndex({ vendorEmail: 1, periodEnd: 1 }, { unique: true });
+    await settlementsCollection.createIndex({ status: 1, periodEnd: -1 });
+    await notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 });
+    await refreshTokensCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await refreshTokensCollection.createIndex({ familyId: 1 });
+    // Expired tokens clean themselves up
+    await refreshTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await revokedTokensCollection.createIndex({ jti: 1 }, { unique: true });
+    await revokedTokensCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    // No two places may share a spelling, or resolving it would be a coin toss
+    await locationsCollection.createIndex({ keys: 1 }, { unique: true });
+    await locationsCollection.createIndex({ division: 1, district: 1 });
+    await ticketsCollection.createIndex({ fromLocationId: 1, toLocationId: 1 });
+    await paymentSessionsCollection.createIndex({ provider: 1, providerSessionId: 1 });
+    // A captured payment the booking couldn't take is refunded exactly once
+    await refundsCollection.createIndex(
+      { transactionId: 1 },
+      { unique: true, partialFilterExpression: { type: 'unconfirmed_payment' } }
+    );
+    await paymentSessionsCollection.createIndex({ bookingId: 1, status: 1, createdAt: -1 });
+    // Ticket search: weighted text index plus the common browse orders
+    await ticketsCollection.createIndex(
+      { title: 'text', fromLocation: 'text', toLocation: 'text', vendorName: 'text', perks: 'text' },
+      {
+        name: 'ticket_search',
+        weights: { title: 5, fromLocation: 3, toLocation: 3, vendorName: 2, perks: 1 },
+        // Place and operator names aren't English - don't stem them
+        default_language: 'none'
+      }
+    );
+    await ticketsCollection.createIndex({ verificationStatus: 1, departureDateTime: 1 });
+    await ticketsCollection.createIndex({ verificationStatus: 1, price: 1 });
+    // Vendor analytics ranges
+    await paymentsCollection.createIndex({ vendorEmail: 1, paymentDate: 1 });
+    await bookingsCollection.createIndex({ vendorEmail: 1, createdAt: 1 });
+
+    const locationsAdded = await seedLocationCatalog();
+    if (locationsAdded > 0) {
+      console.log(`📍 Added ${locationsAdded} places to the location catalog`);
+    }
 
     console.log("✅ Successfully connected to MongoDB!");
     console.log("✅ Database collections initialized!");
@@ -86,38 +218,185 @@ app.get('/', (req, res) => {
   res.send('🎫 TicketBari Server is Running!');
 });
 
-// ==================== JWT ROUTE ====================
-app.post('/jwt', async (req, res) => {
+// ==================== AUTH HELPERS ====================
+// Short-lived access tokens plus rotating refresh tokens. Refresh tokens are opaque,
+// stored hashed, and belong to a family - replaying a used one revokes the whole family.
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET;
+// Only tokens minted by signAccessToken carry this audience - older /jwt tokens and
+// anything else signed with the same secret are not access tokens
+const ACCESS_TOKEN_AUDIENCE = 'ticketbari:access';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const PASSWORD_MIN_LENGTH = 8;
+const FIREBASE_CERTS_URL = process.env.FIREBASE_CERTS_URL ||
+  'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+// Fields never sent back to clients
+const USER_PRIVATE_FIELDS = { passwordHash: 0 };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (email) => jwt.sign({ email }, ACCESS_TOKEN_SECRET, {
+  audience: ACCESS_TOKEN_AUDIENCE,
+  expiresIn: ACCESS_TOKEN_TTL,
+  jwtid: crypto.randomUUID()
+});
+
+const createRefreshToken = async (email, familyId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await refreshTokensCollection.insertOne({
+    tokenHash: hashToken(refreshToken),
+    userEmail: email,
+    familyId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdAt: new Date().toISOString(),
+    usedAt: null,
+    revokedAt: null
+  });
+  return refreshToken;
+};
+
+const issueTokens = async (email, familyId) => ({
+  token: signAccessToken(email),
+  refreshToken: await createRefreshToken(email, familyId),
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+const revokeTokenFamilies = (filter) => refreshTokensCollection.updateMany(
+  { ...filter, revokedAt: null },
+  { $set: { revokedAt: new Date().toISOString() } }
+);
+
+// Deny-list an access token until it would have expired anyway
+const revokeAccessToken = async (decoded) => {
+  if (!decoded?.jti || !decoded.exp) return;
+  await revokedTokensCollection.updateOne(
+    { jti: decoded.jti },
+    { $setOnInsert: { jti: decoded.jti, userEmail: decoded.email, expiresAt: new Date(decoded.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// Firebase signs ID tokens with rotating Google keys. Keys can be pinned with
+// FIREBASE_PUBLIC_KEYS (JSON of kid -> PEM) or are fetched and cached from FIREBASE_CERTS_URL.
+let firebaseKeyCache = { keys: null, expiresAt: 0 };
+const getFirebasePublicKeys = async () => {
+  if (process.env.FIREBASE_PUBLIC_KEYS) {
+    return JSON.parse(process.env.FIREBASE_PUBLIC_KEYS);
+  }
+  if (firebaseKeyCache.keys && firebaseKeyCache.expiresAt > Date.now()) {
+    return firebaseKeyCache.keys;
+  }
+
+  const response = await fetch(FIREBASE_CERTS_URL);
+  if (!response.ok) {
+    throw new Error(`Could not load Firebase signing keys (${response.status})`);
+  }
+  const maxAge = parseInt((response.headers.get('cache-control') || '').match(/max-age=(\d+)/)?.[1]) || 3600;
+  firebaseKeyCache = { keys: await response.json(), expiresAt: Date.now() + maxAge * 1000 };
+  return firebaseKeyCache.keys;
+};
+
+const verifyFirebaseIdToken = async (idToken) => {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw httpError(500, 'Firebase login is not configured');
+  }
+
+  const decodedHeader = typeof idToken === 'string' && jwt.decode(idToken, { complete: true });
+  const keys = decodedHeader ? await getFirebasePublicKeys() : {};
+  const publicKey = decodedHeader && keys[decodedHeader.header.kid];
+  if (!publicKey) {
+    throw httpError(401, 'Invalid identity token');
+  }
+
   try {
-    const user = req.body;
-    console.log("📥 JWT Request for:", user.email);
-    
-    const token = jwt.sign(user, process.env.ACCESS_TOKEN_SECRET || 'fallback-secret-key', { 
-      expiresIn: '7d' 
+    const claims = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256'],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`
     });
-    
-    console.log("✅ Token generated successfully");
-    res.send({ token });
+    if (!claims.sub || !claims.email) {
+      throw new Error('Token has no subject or email');
+    }
+    return claims;
+  } catch (error) {
+    throw httpError(401, 'Invalid identity token');
+  }
+};
+
+// Firebase users are created on first sign-in, the same way the client used to POST /users.
+// Registering a password never proves the email is yours, so the first Firebase identity with
+// a verified email to claim an existing account removes its password and signs out its sessions.
+const upsertFirebaseUser = async (claims) => {
+  const email = claims.email.toLowerCase();
+  const existing = await usersCollection.findOne({ email });
+  const claimsAccount = existing && existing.firebaseUid !== claims.sub;
+  if (claimsAccount && claims.email_verified !== true) {
+    throw httpError(403, 'Verify your email address before signing in');
+  }
+  const dropPassword = Boolean(claimsAccount && existing.passwordHash);
+
+  await usersCollection.updateOne(
+    { email },
+    {
+      $set: { firebaseUid: claims.sub, lastLoginAt: new Date().toISOString() },
+      $setOnInsert: {
+        email,
+        name: claims.name || email.split('@')[0],
+        photo: claims.picture || '',
+        role: 'user',
+        createdAt: new Date().toISOString()
+      },
+      ...(dropPassword && { $unset: { passwordHash: '' } })
+    },
+    { upsert: true }
+  );
+  if (dropPassword) {
+    await revokeTokenFamilies({ userEmail: email });
+    console.warn(`⚠️ Password removed from ${email} - claimed by its verified Firebase identity`);
+  }
+  return email;
+};
+
+const firebaseLogin = async (req, res) => {
+  try {
+    const claims = await verifyFirebaseIdToken(req.body?.idToken);
+    const email = await upsertFirebaseUser(claims);
+    res.send(await issueTokens(email));
   } catch (error) {
-    console.error("❌ JWT Error:", error.message);
+    if (error.status) return res.status(error.status).send({ message: error.message });
     res.status(500).send({ error: error.message });
   }
-});
+};
 
 // ==================== MIDDLEWARE ====================
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const authorization = req.headers.authorization;
   if (!authorization) {
     return res.status(401).send({ message: 'Unauthorized access' });
   }
   const token = authorization.split(' ')[1];
-  jwt.verify(token, process.env.ACCESS_TOKEN_SECRET || 'fallback-secret-key', (err, decoded) => {
-    if (err) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, ACCESS_TOKEN_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+  } catch (error) {
+    return res.status(401).send({ message: 'Unauthorized access' });
+  }
+  // Without an id the token could never be revoked
+  if (!decoded.jti || !decoded.email) {
+    return res.status(401).send({ message: 'Unauthorized access' });
+  }
+  try {
+    if (await revokedTokensCollection.findOne({ jti: decoded.jti })) {
       return res.status(401).send({ message: 'Unauthorized access' });
     }
-    req.decoded = decoded;
-    next();
-  });
+  } catch (error) {
+    return res.status(500).send({ error: error.message });
+  }
+  req.token = token;
+  req.decoded = decoded;
+  next();
 };
 
 // Verify Admin
@@ -148,758 +427,7134 @@ const verifyVendor = async (req, res, next) => {
   }
 };
 
-// ==================== PUBLIC STATS ROUTE ====================
-app.get('/public-stats', async (req, res) => {
-  try {
-    // ✅ Ensure collections are initialized
-    if (!usersCollection || !bookingsCollection || !ticketsCollection) {
-      throw new Error("Database collections not initialized");
-    }
+// ==================== OWNERSHIP POLICIES ====================
+// Roles say what kind of account someone has; these policies say which records they may
+// touch. Routes load the resource and ask `authorize`; email-scoped routes use
+// `ownEmailParam`. Every denial is logged with who tried what.
+const POLICIES = {
+  'ticket:manage': (email, ticket) => ticket.vendorEmail === email,
+  'schedule:manage': (email, schedule) => schedule.vendorEmail === email,
+  'coupon:manage': (email, coupon) => coupon.scope === 'vendor' && coupon.vendorEmail === email,
+  'booking:own': (email, booking) => booking.userEmail === email,
+  'booking:respond': (email, booking) => booking.vendorEmail === email,
+  'booking:view': (email, booking) => booking.userEmail === email || booking.vendorEmail === email,
+  'review:reply': (email, review) => review.vendorEmail === email,
+  'waitlist:own': (email, entry) => entry.userEmail === email,
+  'notification:own': (email, notification) => notification.userEmail === email,
+  'vendorApplication:own': (email, application) => application.userEmail === email
+};
 
-    const totalUsers = await usersCollection.countDocuments();
-    
-    const bookings = await bookingsCollection.find().toArray();
-    const totalTicketsSold = bookings.reduce((sum, booking) => sum + (booking.bookingQuantity || 0), 0);
-    
-    const tickets = await ticketsCollection.find({}, { projection: { fromLocation: 1, toLocation: 1 } }).toArray();
-    const routes = new Set(tickets.map(t => `${t.fromLocation}-${t.toLocation}`));
-    const totalRoutes = routes.size;
-    
-    const successfulBookings = await bookingsCollection.countDocuments({ status: 'paid' });
-    const totalBookings = await bookingsCollection.countDocuments();
-    const satisfactionRate = totalBookings > 0 ? Math.round((successfulBookings / totalBookings) * 100) : 98;
-    
-    const totalVendors = await usersCollection.countDocuments({ role: 'vendor' });
-    const totalTickets = await ticketsCollection.countDocuments({ verificationStatus: 'approved' });
+const logDenied = (req, action, target) => {
+  console.warn(`⛔ Denied ${action} on ${target} for ${req.decoded?.email || 'anonymous'} (${req.method} ${req.originalUrl})`);
+};
 
-    res.send({
-      totalUsers,
-      totalTicketsSold,
-      totalRoutes,
-      satisfactionRate,
-      totalVendors,
-      totalTickets
-    });
-  } catch (error) {
-    console.error("❌ Public Stats Error:", error.message);
-    res.status(500).send({ error: error.message });
+const authorize = (req, action, resource) => {
+  if (POLICIES[action](req.decoded.email, resource)) {
+    return true;
   }
-});
+  logDenied(req, action, resource._id?.toString() || 'resource');
+  return false;
+};
 
-// ==================== USER ROUTES ====================
+// For routes like /bookings/user/:email - the email must be the caller's own
+const ownEmailParam = (req, res, next) => {
+  if (req.params.email === req.decoded.email) {
+    return next();
+  }
+  logDenied(req, 'email:own', req.params.email);
+  res.status(403).send({ message: 'Forbidden access' });
+};
 
-// Save user to database
-app.post('/users', async (req, res) => {
-  try {
-    const user = req.body;
-    const query = { email: user.email };
-    const existingUser = await usersCollection.findOne(query);
-    
-    if (existingUser) {
-      return res.send({ message: 'User already exists', insertedId: null });
+// ==================== AUDIT LOG ====================
+// Append-only trail of privileged changes: who did what to which record, from where, and
+// exactly which fields changed. Entries are only ever inserted.
+const AUDIT_REDACTED_FIELDS = ['_id', 'passwordHash'];
+
+const getClientIp = (req) => (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip || null;
+
+// { field: { before, after } } for every field that differs; deletes record every field
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    if (AUDIT_REDACTED_FIELDS.includes(key)) return;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { before: from, after: to };
     }
-    
-    const result = await usersCollection.insertOne(user);
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: error.message });
+  });
+  return changes;
+};
+
+const recordAudit = (req, { action, targetType, targetId, before = null, after = null, metadata = null }, session) =>
+  auditLogsCollection.insertOne({
+    actorEmail: req.decoded.email,
+    action,
+    targetType,
+    targetId: String(targetId),
+    changes: diffDocuments(before, after),
+    metadata,
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent'] || null,
+    createdAt: new Date().toISOString()
+  }, { session });
+
+// ==================== NOTIFICATION HELPERS ====================
+// Booking lifecycle code emits events; the notifier turns them into in-app, email and SMS
+// messages according to each user's preferences. Delivery never blocks or fails a request.
+const bookingEvents = new EventEmitter();
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'sms'];
+const DEFAULT_CHANNEL_PREFERENCES = { inApp: true, email: true, sms: false };
+
+// Who hears about each event and what they are told
+const NOTIFICATION_EVENTS = {
+  'booking.created': {
+    to: ({ booking }, ticket) => ticket?.vendorEmail,
+    title: 'New booking request',
+    message: ({ booking }, ticket) => `${booking.userName || booking.userEmail} requested ${booking.bookingQuantity} ticket(s) on ${ticket?.title}.`
+  },
+  'booking.accepted': {
+    to: ({ booking }) => booking.userEmail,
+    title: 'Booking accepted',
+    message: ({ booking }, ticket) => `Your booking on ${ticket?.title} was accepted. Please pay before ${formatDateTime(booking.holdExpiresAt)}.`
+  },
+  'booking.rejected': {
+    to: ({ booking }) => booking.userEmail,
+    title: 'Booking rejected',
+    message: ({ booking }, ticket) => `Sorry, your booking on ${ticket?.title} was rejected by the operator.`
+  },
+  'booking.cancelled': {
+    to: ({ booking }, ticket) => ticket?.vendorEmail,
+    title: 'Booking cancelled',
+    message: ({ booking }, ticket) => `${booking.userName || booking.userEmail} cancelled a booking on ${ticket?.title}.`
+  },
+  'booking.expired': {
+    to: ({ booking }) => booking.userEmail,
+    title: 'Booking expired',
+    message: ({ booking }, ticket) => `Your unpaid booking on ${ticket?.title} expired and the seats were released.`
+  },
+  'booking.paid': {
+    to: ({ booking }) => booking.userEmail,
+    title: 'Payment received',
+    message: ({ booking, amount }, ticket) => `We received ${amount} for ${ticket?.title}. Your e-ticket is ready to download.`
+  },
+  'booking.refunded': {
+    to: ({ booking }) => booking.userEmail,
+    title: 'Booking cancelled and refunded',
+    message: ({ booking, refundAmount }, ticket) => `Your booking on ${ticket?.title} was cancelled. Refund: ${refundAmount}.`
+  },
+  'waitlist.offered': {
+    to: ({ entry }) => entry.userEmail,
+    title: 'Seats available for you',
+    message: ({ entry }, ticket) => `${entry.quantity} ticket(s) on ${ticket?.title} are held for you until ${formatDateTime(entry.offerExpiresAt)}. Book now before the offer passes on.`
+  },
+  'vendorApplication.reviewed': {
+    to: ({ application }) => application.userEmail,
+    title: 'Vendor application update',
+    message: ({ application, comment }) => ({
+      approved: `Your vendor application for ${application.companyName} was approved. You can now list tickets.`,
+      rejected: `Your vendor application for ${application.companyName} was rejected.`,
+      changes_requested: `Your vendor application for ${application.companyName} needs changes.`
+    })[application.status] + (comment ? ` Reviewer comment: ${comment}` : '')
   }
-});
+};
 
-// Get all users (Admin only)
-app.get('/users', verifyToken, verifyAdmin, async (req, res) => {
-  try {
-    const result = await usersCollection.find().toArray();
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: error.message });
+// Email goes out over SMTP when configured, otherwise it is only logged
+let mailTransport;
+const emailChannel = {
+  name: 'email',
+  send: async ({ to, subject, text }) => {
+    if (!process.env.SMTP_HOST) {
+      console.log(`📧 [email stub] to=${to} subject="${subject}"`);
+      return 'logged';
+    }
+    mailTransport = mailTransport || nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    await mailTransport.sendMail({
+      from: process.env.MAIL_FROM || 'TicketBari <no-reply@ticketbari.com>',
+      to,
+      subject,
+      text
+    });
+    return 'sent';
   }
-});
+};
 
-// Get user role
-app.get('/users/role/:email', verifyToken, async (req, res) => {
-  try {
-    const email = req.params.email;
-    
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
+// SMS providers share one interface: send({ to, text }). Pick one with SMS_PROVIDER.
+const smsProviders = {
+  console: {
+    send: async ({ to, text }) => {
+      console.log(`📱 [sms stub] to=${to} text="${text}"`);
+      return 'logged';
     }
-    
-    const user = await usersCollection.findOne({ email: email });
-    let role = 'user';
-    if (user?.role) {
-      role = user.role;
+  },
+  http: {
+    send: async ({ to, text }) => {
+      const response = await fetch(process.env.SMS_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${process.env.SMS_API_KEY}`
+        },
+        body: JSON.stringify({ to, text, senderId: process.env.SMS_SENDER_ID })
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded ${response.status}`);
+      }
+      return 'sent';
     }
-    res.send({ role });
-  } catch (error) {
-    res.status(500).send({ error: error.message });
   }
-});
+};
 
-// Get user by email with full details
-app.get('/users/details/:email', verifyToken, async (req, res) => {
-  try {
-    const email = req.params.email;
-    
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
+const smsChannel = {
+  name: 'sms',
+  send: (message) => (smsProviders[process.env.SMS_PROVIDER] || smsProviders.console).send(message)
+};
+
+// Event names contain dots, so saved preferences nest as { booking: { paid: { sms: true } } }
+const getNotificationPreferences = (user) => Object.fromEntries(
+  Object.keys(NOTIFICATION_EVENTS).map(event => [
+    event,
+    {
+      ...DEFAULT_CHANNEL_PREFERENCES,
+      ...(event.split('.').reduce((saved, key) => saved?.[key], user?.notificationPreferences) || {})
     }
-    
-    const result = await usersCollection.findOne({ email: email });
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: error.message });
-  }
-});
+  ])
+);
 
-// Update user profile (comprehensive)
-app.patch('/users/update/:email', verifyToken, async (req, res) => {
-  try {
-    const email = req.params.email;
-    const { name, phone, photo, address } = req.body;
-    
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
+const deliverNotification = async (event, payload) => {
+  const template = NOTIFICATION_EVENTS[event];
+  const ticketId = payload.booking?.ticketId || payload.entry?.ticketId;
+  const ticket = ticketId ? await ticketsCollection.findOne({ _id: new ObjectId(ticketId) }) : null;
+
+  const recipient = template.to(payload, ticket);
+  if (!recipient) return;
+
+  const user = await usersCollection.findOne({ email: recipient });
+  const preferences = getNotificationPreferences(user)[event];
+  const title = template.title;
+  const message = template.message(payload, ticket);
+
+  const delivery = {};
+  const attempt = async (channel, details) => {
+    try {
+      delivery[channel.name] = await channel.send(details);
+    } catch (error) {
+      console.error(`❌ ${channel.name} notification failed for ${recipient}:`, error.message);
+      delivery[channel.name] = 'failed';
     }
+  };
 
-    const filter = { email: email };
-    const updateDoc = {
-      $set: {
-        ...(name && { name }),
-        ...(phone && { phone }),
-        ...(photo && { photo }),
-        ...(address && { address }),
-        updatedAt: new Date().toISOString()
-      }
-    };
-    
-    const result = await usersCollection.updateOne(filter, updateDoc);
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: error.message });
+  if (preferences.email) {
+    await attempt(emailChannel, { to: recipient, subject: title, text: message });
+  }
+  if (preferences.sms && user?.phone) {
+    await attempt(smsChannel, { to: user.phone, text: `${title}: ${message}` });
+  }
+  if (preferences.inApp) {
+    await notificationsCollection.insertOne({
+      userEmail: recipient,
+      event,
+      title,
+      message,
+      bookingId: payload.booking?._id?.toString() || payload.entry?.bookingId || null,
+      ticketId: ticketId || null,
+      isRead: false,
+      delivery,
+      createdAt: new Date().toISOString()
+    });
   }
+};
+
+Object.keys(NOTIFICATION_EVENTS).forEach((event) => {
+  bookingEvents.on(event, (payload) => {
+    deliverNotification(event, payload).catch(error => console.error(`❌ Notification Error (${event}):`, error.message));
+  });
 });
 
-// Get single user by email
-app.get('/users/:email', verifyToken, async (req, res) => {
-  try {
-    const email = req.params.email;
-    const result = await usersCollection.findOne({ email: email });
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: error.message });
+// ==================== SEAT MAP HELPERS ====================
+const SEAT_TYPES = ['seat', 'berth'];
+
+// Validate a vendor seat layout. Rows are arrays of seat numbers, null marks an aisle/gap.
+// e.g. { cabins: [{ name: 'Lower Deck', cabinClass: 'AC', seatType: 'berth', price: 1500, rows: [['A1', null, 'A2']] }] }
+const normalizeSeatLayout = (layout) => {
+  if (!layout || !Array.isArray(layout.cabins) || layout.cabins.length === 0) {
+    return { error: 'Seat layout must contain at least one cabin' };
   }
-});
 
-// Update user photo by email
-app.patch('/users/:email', verifyToken, async (req, res) => {
-  try {
-    const email = req.params.email;
-    const { photo } = req.body;
-    
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
+  const seen = new Set();
+  const cabins = [];
+
+  for (const [index, cabin] of layout.cabins.entries()) {
+    const seatType = cabin.seatType || 'seat';
+    if (!SEAT_TYPES.includes(seatType)) {
+      return { error: `Cabin ${index + 1}: seatType must be one of ${SEAT_TYPES.join(', ')}` };
+    }
+    if (cabin.price !== undefined && (typeof cabin.price !== 'number' || cabin.price < 0)) {
+      return { error: `Cabin ${index + 1}: price must be a positive number` };
+    }
+    if (!Array.isArray(cabin.rows) || cabin.rows.length === 0 || !cabin.rows.every(Array.isArray)) {
+      return { error: `Cabin ${index + 1}: rows must be a list of seat rows` };
     }
 
-    const filter = { email: email };
-    const updateDoc = {
-      $set: {
-        photo: photo,
-        photoUpdatedAt: new Date().toISOString()
+    const rows = [];
+    for (const row of cabin.rows) {
+      const cleanRow = [];
+      for (const seat of row) {
+        if (seat === null || seat === '') {
+          cleanRow.push(null);
+          continue;
+        }
+        const seatNo = String(seat).trim().toUpperCase();
+        if (!seatNo) {
+          cleanRow.push(null);
+          continue;
+        }
+        if (seen.has(seatNo)) {
+          return { error: `Seat ${seatNo} appears more than once` };
+        }
+        seen.add(seatNo);
+        cleanRow.push(seatNo);
       }
-    };
-    
-    const result = await usersCollection.updateOne(filter, updateDoc);
-    res.send(result);
-  } catch (error) {
-    res.status(500).send({ error: error.message });
+      rows.push(cleanRow);
+    }
+
+    cabins.push({
+      name: cabin.name || `Cabin ${index + 1}`,
+      cabinClass: cabin.cabinClass || 'standard',
+      seatType,
+      ...(cabin.price !== undefined && { price: cabin.price }),
+      rows
+    });
   }
-});
 
-// Update user profile (PUT)
-app.put('/users/:email', verifyToken, async (req, res) => {
-  try {
-    const email = req.params.email;
-    const updateData = req.body;
-    
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
-    }
+  if (seen.size === 0) {
+    return { error: 'Seat layout must contain at least one seat' };
+  }
 
-    const filter = { email: email };
-    const updateDoc = {
-      $set: {
-        ...updateData,
-        updatedAt: new Date().toISOString()
-      }
-    };
-    
-    const result = await usersCollection.updateOne(filter, updateDoc);
-    res.send(result);
+  return { seatLayout: { cabins, totalSeats: seen.size } };
+};
+
+// Flatten a ticket's layout into seat records keyed by seat number
+const getSeatMap = (ticket) => {
+  const seats = new Map();
+  ticket.seatLayout.cabins.forEach((cabin) => {
+    cabin.rows.forEach((row, rowIndex) => {
+      row.forEach((seatNo, column) => {
+        if (!seatNo) return;
+        seats.set(seatNo, {
+          seatNo,
+          cabin: cabin.name,
+          cabinClass: cabin.cabinClass,
+          seatType: cabin.seatType,
+          price: cabin.price ?? ticket.price,
+          row: rowIndex + 1,
+          column: column + 1
+        });
+      });
+    });
+  });
+  return seats;
+};
+
+// Put a hold on seats for a booking. A clash on the unique index means someone got there first.
+// Lapsed holds no longer keep their seats; the reservations job releases the rest of their booking.
+const holdSeats = async (ticketId, seatNos, bookingId, userEmail, expiresAt, session) => {
+  const createdAt = new Date().toISOString();
+  await seatHoldsCollection.deleteMany(
+    { ticketId, seatNo: { $in: seatNos }, status: 'held', expiresAt: { $lte: createdAt } },
+    { session }
+  );
+  try {
+    await seatHoldsCollection.insertMany(seatNos.map(seatNo => ({
+      ticketId,
+      seatNo,
+      bookingId,
+      userEmail,
+      status: 'held',
+      expiresAt,
+      createdAt
+    })), { session });
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    if (error.code !== 11000) throw error;
+    throw httpError(409, 'One or more selected seats are no longer available');
   }
-});
+};
+
+// Turn a paid booking's holds into booked seats. Lapsed holds are re-claimed if still free.
+const confirmSeatHolds = async (booking, session) => {
+  const bookingId = booking._id.toString();
+  const bookedAt = new Date().toISOString();
+  await seatHoldsCollection.updateMany(
+    { bookingId },
+    { $set: { status: 'booked', bookedAt }, $unset: { expiresAt: '' } },
+    { session }
+  );
+
+  const confirmed = await seatHoldsCollection.find({ bookingId }, { session }).toArray();
+  const missing = booking.seats.filter(seatNo => !confirmed.some(hold => hold.seatNo === seatNo));
+  if (missing.length === 0) return;
 
-// Update user role (Admin only)
-app.patch('/users/role/:id', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const id = req.params.id;
-    const { role } = req.body;
-    const filter = { _id: new ObjectId(id) };
+    await seatHoldsCollection.insertMany(missing.map(seatNo => ({
+      ticketId: booking.ticketId,
+      seatNo,
+      bookingId,
+      userEmail: booking.userEmail,
+      status: 'booked',
+      bookedAt,
+      createdAt: bookedAt
+    })), { session });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw httpError(409, 'Seat hold expired and some seats were taken by another passenger');
+  }
+};
+
+// ==================== RESERVATION HELPERS ====================
+// A booking reserves stock the moment it is created. The reservation is either
+// confirmed by payment or released by cancel/reject/expiry - never both.
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 30;
+const ACTIVE_BOOKING_STATUSES = ['pending', 'accepted'];
+
+const getHoldExpiry = () => new Date(Date.now() + HOLD_MINUTES * 60 * 1000).toISOString();
+
+// Errors thrown inside a transaction that should reach the client with their own status
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Run work inside a MongoDB transaction; the driver retries transient conflicts.
+// Events queued with emitAfterCommit are only announced once the commit succeeds.
+const runTransaction = async (work) => {
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      session.pendingEvents = [];
+      result = await work(session);
+    });
+    session.pendingEvents.forEach(([event, payload]) => bookingEvents.emit(event, payload));
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const emitAfterCommit = (session, event, payload) => {
+  if (session) {
+    session.pendingEvents.push([event, payload]);
+  } else {
+    bookingEvents.emit(event, payload);
+  }
+};
+
+// Conditional decrement - only succeeds while enough stock is left
+const reserveStock = async (ticketId, quantity, session) => {
+  const result = await ticketsCollection.updateOne(
+    { _id: new ObjectId(ticketId), ticketQuantity: { $gte: quantity } },
+    { $inc: { ticketQuantity: -quantity } },
+    { session }
+  );
+  if (result.modifiedCount === 0) {
+    throw httpError(400, 'Not enough tickets available');
+  }
+};
+
+// Give a booking's reserved (or paid-for) stock and seats back. Safe to call more than once.
+const releaseReservation = async (booking, session) => {
+  await seatHoldsCollection.deleteMany({ bookingId: booking._id.toString() }, { session });
+
+  const result = await bookingsCollection.updateOne(
+    { _id: booking._id, reservationStatus: { $in: ['reserved', 'confirmed'] } },
+    { $set: { reservationStatus: 'released', releasedAt: new Date().toISOString() } },
+    { session }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await ticketsCollection.updateOne(
+    { _id: new ObjectId(booking.ticketId) },
+    { $inc: { ticketQuantity: booking.bookingQuantity } },
+    { session }
+  );
+  await offerReleasedSeats(booking.ticketId, session);
+  return true;
+};
+
+// Expire unpaid bookings whose hold ran out and give their stock back
+const releaseExpiredReservations = async () => {
+  const now = new Date().toISOString();
+  const expiredBookings = await bookingsCollection
+    .find({ status: { $in: ACTIVE_BOOKING_STATUSES }, holdExpiresAt: { $lte: now } })
+    .toArray();
+
+  for (const booking of expiredBookings) {
+    await runTransaction(async (session) => {
+      const result = await bookingsCollection.updateOne(
+        { _id: booking._id, status: { $in: ACTIVE_BOOKING_STATUSES }, holdExpiresAt: { $lte: now } },
+        { $set: { status: 'expired', expiredAt: now } },
+        { session }
+      );
+      if (result.modifiedCount > 0) {
+        await releaseReservation(booking, session);
+        emitAfterCommit(session, 'booking.expired', { booking });
+      }
+    });
+  }
+
+  await expireWaitlistOffers();
+  return expiredBookings.length;
+};
+
+// ==================== WAITLIST HELPERS ====================
+// Sold-out tickets keep a first-come queue. Released stock is set aside for the first
+// waiting party that fits, as a time-limited offer. Unused offers pass down the line.
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 20;
+
+const offerReleasedSeats = async (ticketId, session) => {
+  const ticket = await ticketsCollection.findOne({ _id: new ObjectId(ticketId) }, { session });
+  if (!ticket || new Date(ticket.departureDateTime) < new Date()) return 0;
+
+  const waiting = await waitlistCollection
+    .find({ ticketId, status: 'waiting' }, { session })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  let available = ticket.ticketQuantity;
+  let offered = 0;
+  for (const entry of waiting) {
+    if (available <= 0) break;
+    if (entry.quantity > available) continue;
+
+    const reserved = await ticketsCollection.updateOne(
+      { _id: ticket._id, ticketQuantity: { $gte: entry.quantity } },
+      { $inc: { ticketQuantity: -entry.quantity } },
+      { session }
+    );
+    if (reserved.modifiedCount === 0) break;
+
+    const now = new Date();
+    const offer = {
+      status: 'offered',
+      reservedQuantity: entry.quantity,
+      offeredAt: now.toISOString(),
+      offerExpiresAt: new Date(now.getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000).toISOString()
+    };
+    const updated = await waitlistCollection.updateOne(
+      { _id: entry._id, status: 'waiting' },
+      { $set: offer },
+      { session }
+    );
+    // Left the queue meanwhile - nothing was offered, so the stock goes back
+    if (updated.modifiedCount === 0) {
+      await ticketsCollection.updateOne({ _id: ticket._id }, { $inc: { ticketQuantity: entry.quantity } }, { session });
+      continue;
+    }
+    emitAfterCommit(session, 'waitlist.offered', { entry: { ...entry, ...offer } });
+    available -= entry.quantity;
+    offered++;
+  }
+
+  return offered;
+};
+
+// Hand an offer's stock back to the ticket and offer it to whoever is next
+const returnOfferedStock = async (entry, quantity, session) => {
+  if (quantity <= 0) return;
+  await ticketsCollection.updateOne(
+    { _id: new ObjectId(entry.ticketId) },
+    { $inc: { ticketQuantity: quantity } },
+    { session }
+  );
+  await offerReleasedSeats(entry.ticketId, session);
+};
+
+// Turn an offer into a booking. Any difference to the offered quantity is settled with the ticket.
+const claimWaitlistOffer = async (offer, bookingData, session) => {
+  const now = new Date().toISOString();
+  const claimed = await waitlistCollection.updateOne(
+    { _id: offer._id, status: 'offered', offerExpiresAt: { $gt: now } },
+    { $set: { status: 'booked', bookingId: bookingData._id.toString(), bookedAt: now } },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw httpError(400, 'Waitlist offer has expired');
+  }
+
+  const difference = bookingData.bookingQuantity - offer.reservedQuantity;
+  if (difference > 0) {
+    await reserveStock(bookingData.ticketId, difference, session);
+  } else {
+    await returnOfferedStock(offer, -difference, session);
+  }
+};
+
+const expireWaitlistOffers = async () => {
+  const now = new Date().toISOString();
+  const expiredOffers = await waitlistCollection
+    .find({ status: 'offered', offerExpiresAt: { $lte: now } })
+    .toArray();
+
+  for (const entry of expiredOffers) {
+    await runTransaction(async (session) => {
+      const result = await waitlistCollection.updateOne(
+        { _id: entry._id, status: 'offered' },
+        { $set: { status: 'expired', expiredAt: now } },
+        { session }
+      );
+      if (result.modifiedCount > 0) {
+        await returnOfferedStock(entry, entry.reservedQuantity, session);
+      }
+    });
+  }
+
+  return expiredOffers.length;
+};
+
+// ==================== PAYMENT HELPERS ====================
+const getStripe = () => require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// What a booking costs, worked out on the server - seat maps can price cabins differently
+const calculateBookingPrice = (ticket, booking) => {
+  if (booking.seatDetails?.length) {
+    return booking.seatDetails.reduce((sum, seat) => sum + Number(seat.price), 0);
+  }
+  return Number(ticket.price) * booking.bookingQuantity;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// The subtotal quoted when the booking was made - later ticket price edits don't reach it.
+// Bookings from before prices were stored on them are priced from the ticket.
+const getBookingSubtotal = (ticket, booking) =>
+  booking.subtotal ?? booking.totalPrice ?? calculateBookingPrice(ticket, booking);
+
+// Subtotal less any coupon discount locked onto the booking
+const priceBooking = (ticket, booking) => {
+  const subtotal = getBookingSubtotal(ticket, booking);
+  const discount = Math.min(booking.discount || 0, subtotal);
+  return { subtotal, discount, amount: roundMoney(subtotal - discount) };
+};
+
+const getBookingAmount = async (booking, session) => {
+  const ticket = await ticketsCollection.findOne({ _id: new ObjectId(booking.ticketId) }, { session });
+  if (!ticket) {
+    throw httpError(404, 'Ticket not found');
+  }
+  return { ticket, ...priceBooking(ticket, booking) };
+};
+
+// Mark a booking paid and record the payment. Idempotent on transactionId so the
+// webhook and the client confirmation can both arrive without double counting.
+// `amountPaid` is in minor units of the `currency` the provider charged. With a
+// `paymentSession` it must match the charge recorded at checkout, so price or exchange
+// rate changes while the customer pays don't turn a captured payment away.
+const confirmBookingPayment = ({ bookingId, transactionId, providerSessionId = null, paymentSession = null, amountPaid, currency, paymentMethod }) => {
+  const bookingFilter = { _id: new ObjectId(bookingId) };
+
+  return runTransaction(async (session) => {
+    const booking = await bookingsCollection.findOne(bookingFilter, { session });
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (booking.status === 'paid') {
+      if (booking.transactionId === transactionId) {
+        const existing = await paymentsCollection.findOne({ transactionId }, { session });
+        return { acknowledged: true, insertedId: existing?._id, alreadyRecorded: true };
+      }
+      throw httpError(400, 'Booking is already paid');
+    }
+    if (['cancelled', 'rejected', 'refund_pending'].includes(booking.status)) {
+      throw httpError(400, `Cannot pay for a ${booking.status} booking`);
+    }
+    
+    const { ticket, subtotal, ...priced } = await getBookingAmount(booking, session);
+    // Stripe intents from before payment sessions are checked against the booking itself
+    const expected = paymentSession
+      ? { amount: paymentSession.amount, amountMinor: paymentSession.chargeAmountMinor, currency: paymentSession.chargeCurrency }
+      : { amount: priced.amount, amountMinor: toChargeMinorUnits(priced.amount, currency), currency: currency.toLowerCase() };
+    if (expected.amountMinor !== amountPaid || expected.currency !== currency.toLowerCase()) {
+      throw httpError(400, 'Paid amount does not match the booking total');
+    }
+    const amount = expected.amount;
+    const discount = roundMoney(Math.max(subtotal - amount, 0));
+    
+    // Reservation lapsed (or the booking predates reservations) - claim the stock again
+    if (booking.reservationStatus !== 'reserved') {
+      await reserveStock(booking.ticketId, booking.bookingQuantity, session);
+    }
+    if (booking.seats?.length) {
+      await confirmSeatHolds(booking, session);
+    }
+    
+    const coupon = booking.couponCode && discount > 0
+      ? await recordCouponRedemption(booking, ticket, { subtotal, discount, amount }, session)
+      : null;
+    const platformDiscount = coupon?.scope === 'platform' ? discount : 0;
+    const commissionPercent = await getCommissionPercent(ticket.vendorEmail, ticket.transportType, session);
+    
+    const paymentData = {
+      bookingId,
+      ticketId: booking.ticketId,
+      ticketTitle: ticket.title,
+      userEmail: booking.userEmail,
+      vendorEmail: ticket.vendorEmail,
+      amount,
+      subtotal,
+      discount,
+      couponCode: booking.couponCode || null,
+      platformDiscount,
+      commissionPercent,
+      ...splitPayment(amount, platformDiscount, commissionPercent),
+      currency: BASE_CURRENCY,
+      chargedAmountMinor: amountPaid,
+      chargedCurrency: currency.toLowerCase(),
+      bookingQuantity: booking.bookingQuantity,
+      transactionId,
+      providerSessionId,
+      paymentMethod,
+      paymentDate: new Date().toISOString()
+    };
+    const insertResult = await paymentsCollection.insertOne(paymentData, { session });
+    await postPaymentJournal({ ...paymentData, _id: insertResult.insertedId }, session);
+    
+    const bookingUpdate = {
+      $set: { 
+        status: 'paid',
+        paidAt: new Date().toISOString(),
+        transactionId,
+        reservationStatus: 'confirmed'
+      },
+      $unset: { holdExpiresAt: '' }
+    };
+    await bookingsCollection.updateOne({ ...bookingFilter, status: booking.status }, bookingUpdate, { session });
+    emitAfterCommit(session, 'booking.paid', { booking, amount });
+    
+    return insertResult;
+  });
+};
+
+// ==================== PAYMENT PROVIDERS ====================
+// Booking code never talks to a gateway directly. Every provider implements:
+//   createSession({ paymentSession, booking, existing }) -> { providerSessionId, clientSecret?, redirectUrl? }
+//   verifyCallback(req) -> result, or null when the callback says nothing about a payment
+//   queryStatus(paymentSession) -> result
+//   refund({ payment, amountMinor, currency, bookingId }) -> { refundId, status }
+//   cancelSession(paymentSession) -> stop a superseded session from taking money, where the provider allows it
+// where a result is { providerSessionId, transactionId, status, amountMinor, currency } and
+// status is 'succeeded', 'pending' or 'failed'. `flow` tells the client what to do with a new
+// session: 'client_secret' (confirm in the page with Stripe Elements) or 'redirect' (send the
+// browser to redirectUrl). Prices are in taka; a provider charging another currency converts
+// with PAYMENT_FX_RATES, e.g. {"usd":0.0082}.
+const BASE_CURRENCY = 'bdt';
+const PAYMENT_FX_RATES = JSON.parse(process.env.PAYMENT_FX_RATES || '{}');
+const SERVER_URL = process.env.SERVER_URL || `http://localhost:${port}`;
+const CLIENT_URL = process.env.CLIENT_URL || 'https://ticketbari.web.app';
+const PAYMENT_SESSION_MINUTES = 30;
+
+// `amount` taka in `currency`'s minor units (paisa, cents)
+const toChargeMinorUnits = (amount, currency) => {
+  const code = currency.toLowerCase();
+  if (code === BASE_CURRENCY) return toMinorUnits(amount);
+  const rate = PAYMENT_FX_RATES[code];
+  if (!(rate > 0)) {
+    throw httpError(500, `No exchange rate configured for ${code.toUpperCase()}`);
+  }
+  return toMinorUnits(amount * rate);
+};
+
+// Local gateways exchange decimal strings ("1200.00") rather than minor units
+const toDecimalAmount = (amountMinor) => (amountMinor / 100).toFixed(2);
+const fromDecimalAmount = (value) => Math.round(Number(value) * 100);
+
+// Give back the same share of what was actually charged, in the currency it was charged in.
+// Payments from before providers existed only have `amount` and the Stripe currency.
+const getRefundCharge = (payment, refundAmount) => {
+  const chargedMinor = payment.chargedAmountMinor ?? toMinorUnits(payment.amount);
+  return {
+    amountMinor: Math.round(chargedMinor * refundAmount / payment.amount),
+    currency: payment.chargedCurrency || payment.currency
+  };
+};
+
+// --- Stripe ---
+const toStripeResult = (intent) => ({
+  providerSessionId: intent.id,
+  transactionId: intent.id,
+  status: intent.status === 'succeeded' ? 'succeeded' : intent.status === 'canceled' ? 'failed' : 'pending',
+  amountMinor: intent.amount_received,
+  currency: intent.currency,
+  // Intents created before payment sessions only carry the booking in their metadata
+  bookingId: intent.metadata?.bookingId
+});
+
+// --- SSLCommerz ---
+const SSLCOMMERZ_URL = process.env.SSLCOMMERZ_LIVE === 'true'
+  ? 'https://securepay.sslcommerz.com'
+  : 'https://sandbox.sslcommerz.com';
+
+const sslcommerzRequest = async (path, params, method = 'GET') => {
+  const query = new URLSearchParams({
+    store_id: process.env.SSLCOMMERZ_STORE_ID,
+    store_passwd: process.env.SSLCOMMERZ_STORE_PASSWORD,
+    ...params
+  });
+  const response = method === 'POST'
+    ? await fetch(`${SSLCOMMERZ_URL}${path}`, { method: 'POST', body: query })
+    : await fetch(`${SSLCOMMERZ_URL}${path}?${query}`);
+  if (!response.ok) {
+    throw new Error(`SSLCommerz responded ${response.status}`);
+  }
+  return response.json();
+};
+
+const toSslcommerzResult = (transaction) => ({
+  providerSessionId: transaction.tran_id,
+  transactionId: transaction.bank_tran_id || null,
+  status: ['VALID', 'VALIDATED'].includes(transaction.status)
+    ? 'succeeded'
+    : ['FAILED', 'CANCELLED', 'EXPIRED', 'UNATTEMPTED'].includes(transaction.status) ? 'failed' : 'pending',
+  amountMinor: fromDecimalAmount(transaction.currency_amount ?? transaction.amount),
+  currency: String(transaction.currency_type || transaction.currency || BASE_CURRENCY).toLowerCase()
+});
+
+// Everything SSLCommerz knows about our tran_id, preferring a validated transaction
+const querySslcommerzTransaction = async (tranId) => {
+  const data = await sslcommerzRequest('/validator/api/merchantTransIDvalidationAPI.php', { tran_id: tranId, format: 'json' });
+  const transactions = data.element || [];
+  const transaction = transactions.find(item => ['VALID', 'VALIDATED'].includes(item.status)) || transactions[0];
+  return transaction
+    ? toSslcommerzResult({ ...transaction, tran_id: tranId })
+    : { providerSessionId: tranId, transactionId: null, status: 'pending', amountMinor: 0, currency: BASE_CURRENCY };
+};
+
+// --- bKash (tokenized checkout) ---
+const BKASH_URL = process.env.BKASH_BASE_URL || 'https://tokenized.sandbox.bka.sh/v1.2.0-beta';
+let bkashToken = null;
+
+const getBkashToken = async () => {
+  if (bkashToken && bkashToken.expiresAt > Date.now()) {
+    return bkashToken.idToken;
+  }
+  const response = await fetch(`${BKASH_URL}/tokenized/checkout/token/grant`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      username: process.env.BKASH_USERNAME,
+      password: process.env.BKASH_PASSWORD
+    },
+    body: JSON.stringify({ app_key: process.env.BKASH_APP_KEY, app_secret: process.env.BKASH_APP_SECRET })
+  });
+  const data = await response.json();
+  if (!data.id_token) {
+    throw new Error(`bKash token grant failed: ${data.statusMessage || response.status}`);
+  }
+  // Renew a minute before bKash expires it
+  bkashToken = { idToken: data.id_token, expiresAt: Date.now() + (Number(data.expires_in) - 60) * 1000 };
+  return bkashToken.idToken;
+};
+
+const bkashRequest = async (path, body) => {
+  const response = await fetch(`${BKASH_URL}/tokenized/checkout${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: await getBkashToken(),
+      'X-APP-Key': process.env.BKASH_APP_KEY
+    },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`bKash responded ${response.status}`);
+  }
+  return response.json();
+};
+
+const toBkashResult = (data, paymentId) => ({
+  providerSessionId: data.paymentID || paymentId,
+  transactionId: data.trxID || null,
+  status: data.transactionStatus === 'Completed'
+    ? 'succeeded'
+    : ['Initiated', 'Authorized', 'Pending Authorized'].includes(data.transactionStatus) ? 'pending' : 'failed',
+  amountMinor: data.amount ? fromDecimalAmount(data.amount) : 0,
+  currency: String(data.currency || BASE_CURRENCY).toLowerCase()
+});
+
+// --- Mock (development only) ---
+// The checkout page links back with an HMAC-signed outcome, so nobody can mark a session
+// paid by editing the URL. Without PAYMENT_MOCK_SECRET the key lives only as long as the process.
+const MOCK_PAYMENT_SECRET = process.env.PAYMENT_MOCK_SECRET || crypto.randomBytes(32).toString('hex');
+const signMockOutcome = (sessionId, outcome) => crypto
+  .createHmac('sha256', MOCK_PAYMENT_SECRET)
+  .update(`mock-payment:${sessionId}:${outcome}`)
+  .digest('hex');
+
+const toMockResult = (paymentSession, status) => ({
+  providerSessionId: paymentSession.providerSessionId,
+  transactionId: `${paymentSession.providerSessionId}_txn`,
+  status,
+  amountMinor: paymentSession.chargeAmountMinor,
+  currency: paymentSession.chargeCurrency
+});
+
+const paymentProviders = {
+  stripe: {
+    label: 'Card (Stripe)',
+    flow: 'client_secret',
+    currency: (process.env.STRIPE_CURRENCY || BASE_CURRENCY).toLowerCase(),
+    isEnabled: () => Boolean(process.env.STRIPE_SECRET_KEY),
+    createSession: async ({ paymentSession, booking, existing }) => {
+      const stripe = getStripe();
+      // Re-use the booking's open intent so retries don't pile up intents on Stripe
+      if (existing) {
+        const intent = await stripe.paymentIntents.retrieve(existing);
+        if (intent.status === 'succeeded') {
+          throw httpError(400, 'Booking is already paid');
+        }
+        if (intent.status !== 'canceled' && intent.currency === paymentSession.chargeCurrency) {
+          if (intent.amount !== paymentSession.chargeAmountMinor) {
+            await stripe.paymentIntents.update(intent.id, { amount: paymentSession.chargeAmountMinor });
+          }
+          return { providerSessionId: intent.id, clientSecret: intent.client_secret };
+        }
+      }
+
+      const intent = await stripe.paymentIntents.create({
+        amount: paymentSession.chargeAmountMinor,
+        currency: paymentSession.chargeCurrency,
+        payment_method_types: ['card'],
+        metadata: {
+          bookingId: booking._id.toString(),
+          ticketId: booking.ticketId,
+          userEmail: booking.userEmail
+        }
+      });
+      return { providerSessionId: intent.id, clientSecret: intent.client_secret };
+    },
+    // Stripe reports through its signed webhook; only a success settles anything
+    verifyCallback: async (req) => {
+      const event = getStripe().webhooks.constructEvent(
+        req.rawBody,
+        req.headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+      return event.type === 'payment_intent.succeeded' ? toStripeResult(event.data.object) : null;
+    },
+    queryStatus: async (paymentSession) =>
+      toStripeResult(await getStripe().paymentIntents.retrieve(paymentSession.providerSessionId)),
+    cancelSession: async (paymentSession) => {
+      const stripe = getStripe();
+      const intent = await stripe.paymentIntents.retrieve(paymentSession.providerSessionId);
+      if (!['succeeded', 'canceled', 'processing'].includes(intent.status)) {
+        await stripe.paymentIntents.cancel(intent.id);
+      }
+    },
+    refund: async ({ payment, amountMinor, bookingId }) => {
+      const refund = await getStripe().refunds.create(
+        { payment_intent: payment.transactionId, amount: amountMinor, metadata: { bookingId } },
+        { idempotencyKey: `refund-${payment.transactionId}` }
+      );
+      return { refundId: refund.id, status: refund.status };
+    }
+  },
+
+  sslcommerz: {
+    label: 'Cards, mobile banking & net banking (SSLCommerz)',
+    flow: 'redirect',
+    currency: BASE_CURRENCY,
+    isEnabled: () => Boolean(process.env.SSLCOMMERZ_STORE_ID && process.env.SSLCOMMERZ_STORE_PASSWORD),
+    // Our payment session id is the tran_id, so every callback maps straight back to it
+    createSession: async ({ paymentSession, booking }) => {
+      const tranId = paymentSession._id.toString();
+      const returnUrl = `${SERVER_URL}/payments/callback/sslcommerz`;
+      const data = await sslcommerzRequest('/gwprocess/v4/api.php', {
+        total_amount: toDecimalAmount(paymentSession.chargeAmountMinor),
+        currency: paymentSession.chargeCurrency.toUpperCase(),
+        tran_id: tranId,
+        success_url: returnUrl,
+        fail_url: returnUrl,
+        cancel_url: returnUrl,
+        ipn_url: `${SERVER_URL}/payments/ipn/sslcommerz`,
+        cus_name: booking.userName || booking.userEmail,
+        cus_email: booking.userEmail,
+        cus_phone: booking.userPhone || 'N/A',
+        cus_add1: 'N/A',
+        cus_city: 'Dhaka',
+        cus_country: 'Bangladesh',
+        shipping_method: 'NO',
+        product_name: booking.ticketTitle || 'Ticket',
+        product_category: 'ticket',
+        product_profile: 'general'
+      }, 'POST');
+      if (data.status !== 'SUCCESS') {
+        throw httpError(502, `SSLCommerz could not start the payment: ${data.failedreason || 'unknown error'}`);
+      }
+      return { providerSessionId: tranId, redirectUrl: data.GatewayPageURL };
+    },
+    // Posted fields are never trusted - a val_id is checked with the validation API,
+    // anything else is looked up by tran_id
+    verifyCallback: async (req) => {
+      const { val_id: valId, tran_id: tranId } = { ...req.query, ...req.body };
+      if (valId) {
+        const transaction = await sslcommerzRequest('/validator/api/validationserverAPI.php', { val_id: valId, format: 'json' });
+        return toSslcommerzResult(transaction);
+      }
+      return tranId ? querySslcommerzTransaction(String(tranId)) : null;
+    },
+    queryStatus: (paymentSession) => querySslcommerzTransaction(paymentSession.providerSessionId),
+    // SSLCommerz has no way to void a checkout page; if it is paid anyway the money is refunded
+    cancelSession: async () => {},
+    refund: async ({ payment, amountMinor, bookingId }) => {
+      const data = await sslcommerzRequest('/validator/api/merchantTransIDvalidationAPI.php', {
+        bank_tran_id: payment.transactionId,
+        refund_amount: toDecimalAmount(amountMinor),
+        refund_remarks: `Booking ${bookingId} cancelled`,
+        refe_id: bookingId,
+        format: 'json'
+      });
+      if (data.APIConnect !== 'DONE' || !['success', 'processing'].includes(data.status)) {
+        throw new Error(data.errorReason || 'SSLCommerz did not accept the refund');
+      }
+      return { refundId: data.refund_ref_id, status: data.status };
+    }
+  },
+
+  bkash: {
+    label: 'bKash',
+    flow: 'redirect',
+    // bKash only settles in taka
+    currency: BASE_CURRENCY,
+    isEnabled: () => Boolean(process.env.BKASH_APP_KEY && process.env.BKASH_APP_SECRET),
+    createSession: async ({ paymentSession, booking }) => {
+      const data = await bkashRequest('/create', {
+        mode: '0011',
+        payerReference: booking.userPhone || booking.userEmail,
+        callbackURL: `${SERVER_URL}/payments/callback/bkash`,
+        amount: toDecimalAmount(paymentSession.chargeAmountMinor),
+        currency: 'BDT',
+        intent: 'sale',
+        merchantInvoiceNumber: paymentSession._id.toString()
+      });
+      if (data.statusCode !== '0000') {
+        throw httpError(502, `bKash could not start the payment: ${data.statusMessage || 'unknown error'}`);
+      }
+      return { providerSessionId: data.paymentID, redirectUrl: data.bkashURL };
+    },
+    // A successful return still has to be executed before bKash moves the money, and only
+    // the booking's current session is ever executed
+    verifyCallback: async (req) => {
+      const { paymentID: paymentId, status } = req.query;
+      if (!paymentId) return null;
+      const paymentSession = await paymentSessionsCollection.findOne({ provider: 'bkash', providerSessionId: String(paymentId) });
+      if (status !== 'success' || !paymentSession) {
+        return toBkashResult({ transactionStatus: 'Cancelled' }, String(paymentId));
+      }
+      if (paymentSession.status !== 'open') {
+        return toBkashResult(await bkashRequest('/payment/status', { paymentID: paymentId }), String(paymentId));
+      }
+      const executed = await bkashRequest('/execute', { paymentID: paymentId });
+      return executed.transactionStatus
+        ? toBkashResult(executed, String(paymentId))
+        : toBkashResult(await bkashRequest('/payment/status', { paymentID: paymentId }), String(paymentId));
+    },
+    queryStatus: async (paymentSession) => toBkashResult(
+      await bkashRequest('/payment/status', { paymentID: paymentSession.providerSessionId }),
+      paymentSession.providerSessionId
+    ),
+    // Nothing to cancel - an unexecuted bKash payment never moves money
+    cancelSession: async () => {},
+    refund: async ({ payment, amountMinor }) => {
+      const data = await bkashRequest('/payment/refund', {
+        paymentID: payment.providerSessionId,
+        trxID: payment.transactionId,
+        amount: toDecimalAmount(amountMinor),
+        sku: 'ticket',
+        reason: 'Booking cancelled'
+      });
+      if (!data.refundTrxID) {
+        throw new Error(data.statusMessage || 'bKash did not accept the refund');
+      }
+      return { refundId: data.refundTrxID, status: data.transactionStatus };
+    }
+  },
+
+  mock: {
+    label: 'Mock gateway (development)',
+    flow: 'redirect',
+    currency: BASE_CURRENCY,
+    isEnabled: () => process.env.PAYMENT_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production',
+    createSession: async ({ paymentSession }) => {
+      const providerSessionId = `mock_${paymentSession._id}`;
+      return { providerSessionId, redirectUrl: `${SERVER_URL}/payments/mock/checkout/${providerSessionId}` };
+    },
+    verifyCallback: async (req) => {
+      const { sessionId, outcome, signature } = req.query;
+      const expected = signMockOutcome(sessionId, outcome);
+      if (typeof signature !== 'string' || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw httpError(400, 'Invalid mock payment signature');
+      }
+      const paymentSession = await paymentSessionsCollection.findOne({ provider: 'mock', providerSessionId: sessionId });
+      if (!paymentSession) {
+        throw httpError(404, 'Payment session not found');
+      }
+      return toMockResult(paymentSession, outcome === 'success' ? 'succeeded' : 'failed');
+    },
+    queryStatus: async (paymentSession) => toMockResult(
+      paymentSession,
+      ['succeeded', 'failed'].includes(paymentSession.status) ? paymentSession.status : 'pending'
+    ),
+    cancelSession: async () => {},
+    refund: async ({ bookingId }) => ({ refundId: `mock_refund_${bookingId}`, status: 'succeeded' })
+  }
+};
+
+// SSLCommerz and bKash call back to SERVER_URL - the localhost default would point them nowhere once deployed
+const gatewaysWithCallbacks = ['sslcommerz', 'bkash'].filter(name => paymentProviders[name].isEnabled());
+if (gatewaysWithCallbacks.length > 0 && !process.env.SERVER_URL) {
+  throw new Error(`SERVER_URL is not set. ${gatewaysWithCallbacks.join(' and ')} need it for payment callbacks.`);
+}
+
+const getPaymentProvider = (name) => {
+  const provider = paymentProviders[name];
+  if (!provider || !provider.isEnabled()) {
+    throw httpError(400, `Payment provider ${name} is not available`);
+  }
+  return provider;
+};
+
+// Money the provider captured for a booking that can't take it - sold out after the hold
+// lapsed, cancelled meanwhile, already paid through another session, or the wrong amount.
+// The refund is claimed in refunds first (one per transaction), so the webhook and the
+// client confirmation can't both send it back. Failed attempts stay 'failed' for a retry.
+const refundUnconfirmedPayment = async (providerName, result, { bookingId, paymentSession, reason }) => {
+  const refundData = {
+    type: 'unconfirmed_payment',
+    bookingId,
+    transactionId: result.transactionId,
+    providerSessionId: result.providerSessionId,
+    userEmail: paymentSession?.userEmail || null,
+    refundAmount: result.amountMinor / 100,
+    refundAmountMinor: result.amountMinor,
+    currency: result.currency,
+    provider: providerName,
+    reason,
+    status: 'pending',
+    providerRefundId: null,
+    createdAt: new Date().toISOString()
+  };
+  try {
+    const { insertedId } = await refundsCollection.insertOne(refundData);
+    refundData._id = insertedId;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  if (paymentSession) {
+    await paymentSessionsCollection.updateOne(
+      { _id: paymentSession._id },
+      { $set: { status: 'refunded', transactionId: result.transactionId, updatedAt: new Date().toISOString() } }
+    );
+  }
+  return issueUnconfirmedRefund(refundData);
+};
+
+const issueUnconfirmedRefund = async (refund) => {
+  try {
+    const providerRefund = await paymentProviders[refund.provider].refund({
+      payment: { transactionId: refund.transactionId, providerSessionId: refund.providerSessionId },
+      amountMinor: refund.refundAmountMinor,
+      currency: refund.currency,
+      bookingId: refund.bookingId
+    });
+    await refundsCollection.updateOne(
+      { _id: refund._id },
+      { $set: { status: 'succeeded', providerRefundId: providerRefund.refundId, providerStatus: providerRefund.status, updatedAt: new Date().toISOString() } }
+    );
+    console.log(`↩️ Refunded unconfirmed payment ${refund.transactionId} for booking ${refund.bookingId}`);
+    return { ...refund, status: 'succeeded', providerRefundId: providerRefund.refundId };
+  } catch (error) {
+    await refundsCollection.updateOne(
+      { _id: refund._id },
+      { $set: { status: 'failed', lastError: error.message, updatedAt: new Date().toISOString() } }
+    );
+    console.error(`❌ Refund of unconfirmed payment ${refund.transactionId} failed:`, error.message);
+    return { ...refund, status: 'failed' };
+  }
+};
+
+// Best effort - a session that still gets paid is refunded by applyPaymentResult
+const cancelPaymentSessions = async (paymentSessions) => {
+  for (const paymentSession of paymentSessions) {
+    try {
+      await paymentProviders[paymentSession.provider]?.cancelSession(paymentSession);
+    } catch (error) {
+      console.error(`❌ Could not cancel ${paymentSession.provider} session ${paymentSession.providerSessionId}:`, error.message);
+    }
+  }
+};
+
+// Open a payment session for a booking with the chosen provider. The amount always comes
+// from the booking, and coupons are checked again right before money moves.
+const createPaymentSession = async (booking, providerName) => {
+  const provider = getPaymentProvider(providerName);
+  if (['paid', 'cancelled', 'rejected'].includes(booking.status)) {
+    throw httpError(400, `Cannot pay for a ${booking.status} booking`);
+  }
+
+  const { ticket } = await getBookingAmount(booking);
+  if (booking.couponCode) {
+    await refreshBookingCoupon(booking, ticket);
+  }
+  const { amount } = priceBooking(ticket, booking);
+
+  const bookingId = booking._id.toString();
+  const open = await paymentSessionsCollection.findOne(
+    { bookingId, provider: providerName, status: 'open' },
+    { sort: { createdAt: -1 } }
+  );
+  const now = new Date();
+  const paymentSession = {
+    _id: new ObjectId(),
+    bookingId,
+    userEmail: booking.userEmail,
+    provider: providerName,
+    amount,
+    currency: BASE_CURRENCY,
+    chargeAmountMinor: toChargeMinorUnits(amount, provider.currency),
+    chargeCurrency: provider.currency,
+    status: 'open',
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + PAYMENT_SESSION_MINUTES * 60 * 1000).toISOString()
+  };
+
+  const created = await provider.createSession({ paymentSession, booking, existing: open?.providerSessionId });
+  const record = {
+    ...paymentSession,
+    providerSessionId: created.providerSessionId,
+    redirectUrl: created.redirectUrl || null
+  };
+
+  if (open?.providerSessionId === created.providerSessionId) {
+    // The provider reused its open session - keep one record for it
+    const { _id, createdAt, ...changes } = record;
+    await paymentSessionsCollection.updateOne({ _id: open._id }, { $set: { ...changes, updatedAt: now.toISOString() } });
+    record._id = open._id;
+  } else {
+    const superseded = await paymentSessionsCollection.find({ bookingId, status: 'open' }).toArray();
+    await paymentSessionsCollection.updateMany(
+      { _id: { $in: superseded.map(old => old._id) }, status: 'open' },
+      { $set: { status: 'superseded', updatedAt: now.toISOString() } }
+    );
+    await paymentSessionsCollection.insertOne(record);
+    await cancelPaymentSessions(superseded);
+  }
+
+  return {
+    sessionId: record._id.toString(),
+    provider: providerName,
+    flow: provider.flow,
+    providerSessionId: record.providerSessionId,
+    clientSecret: created.clientSecret || null,
+    redirectUrl: record.redirectUrl,
+    amount,
+    currency: BASE_CURRENCY,
+    chargeAmount: record.chargeAmountMinor / 100,
+    chargeCurrency: record.chargeCurrency,
+    expiresAt: record.expiresAt
+  };
+};
+
+// Act on what a provider says about one of its sessions. Only a success moves money, and
+// confirmBookingPayment still checks the amount. Safe to call again for the same result.
+const applyPaymentResult = async (providerName, result) => {
+  const paymentSession = await paymentSessionsCollection.findOne({
+    provider: providerName,
+    providerSessionId: result.providerSessionId
+  });
+  const bookingId = paymentSession?.bookingId || result.bookingId;
+  if (!bookingId) {
+    throw httpError(404, 'Payment session not found');
+  }
+  const now = new Date().toISOString();
+
+  if (result.status === 'succeeded') {
+    let payment;
+    try {
+      payment = await confirmBookingPayment({
+        bookingId,
+        transactionId: result.transactionId,
+        providerSessionId: result.providerSessionId,
+        paymentSession,
+        amountPaid: result.amountMinor,
+        currency: result.currency,
+        paymentMethod: providerName
+      });
+    } catch (error) {
+      // Transient failures are retried by the provider; a rule the booking can't meet won't change
+      if (!error.status || error.status >= 500) throw error;
+      const refund = await refundUnconfirmedPayment(providerName, result, { bookingId, paymentSession, reason: error.message });
+      throw httpError(error.status, refund?.status === 'failed'
+        ? `${error.message}. The payment will be refunded.`
+        : `${error.message}. The payment has been refunded.`);
+    }
+    if (paymentSession) {
+      await paymentSessionsCollection.updateOne(
+        { _id: paymentSession._id },
+        { $set: { status: 'succeeded', transactionId: result.transactionId, updatedAt: now } }
+      );
+    }
+    return { status: 'succeeded', bookingId, payment };
+  }
+
+  if (result.status === 'failed' && paymentSession?.status === 'open') {
+    await paymentSessionsCollection.updateOne(
+      { _id: paymentSession._id, status: 'open' },
+      { $set: { status: 'failed', updatedAt: now } }
+    );
+  }
+  return { status: result.status, bookingId };
+};
+
+// ==================== BOOKING HELPERS ====================
+
+// One entry per travelling person, in seat order for seat-mapped tickets.
+// The lead passenger is the one the operator calls about delays.
+const normalizePassengers = (passengers, ticket, booking) => {
+  if (!Array.isArray(passengers) || passengers.length !== booking.bookingQuantity) {
+    throw httpError(400, `Please enter details for ${booking.bookingQuantity} passenger(s)`);
+  }
+  if (!passengers[0].phone) {
+    throw httpError(400, 'A phone number is required for the first passenger');
+  }
+
+  return passengers.map((passenger, i) => {
+    if (ticket.passengerIdRequired && !passenger.identityDocument) {
+      throw httpError(400, `Passenger ${i + 1} needs an NID, passport or birth certificate for this route`);
+    }
+    const entry = {
+      name: passenger.name,
+      gender: passenger.gender,
+      age: passenger.age
+    };
+    if (passenger.phone) entry.phone = passenger.phone;
+    if (passenger.identityDocument) {
+      entry.identityDocument = {
+        type: passenger.identityDocument.type,
+        number: passenger.identityDocument.number.toUpperCase()
+      };
+    }
+    if (booking.seats) entry.seatNo = booking.seats[i];
+    return entry;
+  });
+};
+
+// NID and passport numbers only leave in full where the operator has to check them at boarding.
+// Everywhere else the last four characters are enough to tell passengers apart.
+const maskIdentityNumber = (number) => `****${String(number).slice(-4)}`;
+
+const maskPassengerIds = (passengers) => passengers?.map(passenger => (passenger.identityDocument
+  ? { ...passenger, identityDocument: { ...passenger.identityDocument, number: maskIdentityNumber(passenger.identityDocument.number) } }
+  : passenger));
+
+// Check a booking request against its ticket and build the document to insert
+// `offeredQuantity` is stock already set aside for this user by a waitlist offer
+const prepareBooking = (booking, ticket, offeredQuantity = 0) => {
+  // Seat-mapped tickets are booked by seat number, the quantity follows the selection
+  let seatMap;
+  if (ticket.seatLayout) {
+    const seats = Array.isArray(booking.seats)
+      ? [...new Set(booking.seats.map(seatNo => String(seatNo).trim().toUpperCase()))]
+      : [];
+    if (seats.length === 0) {
+      throw httpError(400, 'Please select seats for this ticket');
+    }
+    
+    seatMap = getSeatMap(ticket);
+    const unknownSeats = seats.filter(seatNo => !seatMap.has(seatNo));
+    if (unknownSeats.length > 0) {
+      throw httpError(400, `Unknown seats: ${unknownSeats.join(', ')}`);
+    }
+    
+    booking.seats = seats;
+    booking.bookingQuantity = seats.length;
+  } else {
+    delete booking.seats;
+    booking.bookingQuantity = parseInt(booking.bookingQuantity);
+  }
+
+  if (!(booking.bookingQuantity > 0)) {
+    throw httpError(400, 'Booking quantity must be at least 1');
+  }
+
+  if (ticket.ticketQuantity + offeredQuantity < booking.bookingQuantity) {
+    throw httpError(400, 'Not enough tickets available');
+  }
+
+  booking.passengers = normalizePassengers(booking.passengers, ticket, booking);
+
+  // Check if departure time has passed
+  const departureTime = new Date(ticket.departureDateTime);
+  if (departureTime < new Date()) {
+    throw httpError(400, 'Cannot book - departure time has passed');
+  }
+
+  // Discounts only ever come from a validated coupon
+  delete booking.couponCode;
+  delete booking.discount;
+  delete booking.subtotal;
+
+  const bookingData = {
+    ...booking,
+    _id: new ObjectId(),
+    status: 'pending',
+    reservationStatus: 'reserved',
+    holdExpiresAt: getHoldExpiry(),
+    createdAt: new Date().toISOString()
+  };
+
+  if (seatMap) {
+    bookingData.seatDetails = booking.seats.map(seatNo => seatMap.get(seatNo));
+  }
+  bookingData.totalPrice = calculateBookingPrice(ticket, bookingData);
+
+  return bookingData;
+};
+
+// Booking copies of ticket details always come from the ticket itself, never the client
+const getTicketSnapshot = (ticket) => ({
+  ticketId: ticket._id.toString(),
+  vendorEmail: ticket.vendorEmail,
+  ticketTitle: ticket.title,
+  fromLocation: ticket.fromLocation,
+  toLocation: ticket.toLocation,
+  departureDateTime: ticket.departureDateTime
+});
+
+// Reserve stock (or take over a waitlist offer) and seats for a prepared booking, then insert it,
+// all inside the caller's transaction
+const insertReservedBooking = async (bookingData, session, offer) => {
+  if (offer) {
+    await claimWaitlistOffer(offer, bookingData, session);
+  } else {
+    await reserveStock(bookingData.ticketId, bookingData.bookingQuantity, session);
+  }
+  if (bookingData.seats) {
+    await holdSeats(
+      bookingData.ticketId,
+      bookingData.seats,
+      bookingData._id.toString(),
+      bookingData.userEmail,
+      bookingData.holdExpiresAt,
+      session
+    );
+  }
+  return bookingsCollection.insertOne(bookingData, { session });
+};
+
+// ==================== COUPON HELPERS ====================
+// Platform coupons are created by admins and work on any ticket. Vendor coupons only
+// work on that vendor's tickets. Both can be limited by date, usage, route and transport.
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Validate a coupon body. `existing` is passed for partial updates.
+const normalizeCoupon = (body, existing = {}) => {
+  const coupon = { ...existing };
+
+  if (body.code !== undefined) coupon.code = normalizeCouponCode(body.code);
+  if (body.description !== undefined) coupon.description = String(body.description);
+  if (body.discountType !== undefined) coupon.discountType = body.discountType;
+  if (body.discountValue !== undefined) coupon.discountValue = Number(body.discountValue);
+  if (body.isActive !== undefined) coupon.isActive = Boolean(body.isActive);
+  ['maxDiscount', 'minAmount'].forEach((field) => {
+    if (body[field] !== undefined) coupon[field] = body[field] === null ? null : Number(body[field]);
+  });
+  ['usageLimit', 'perUserLimit'].forEach((field) => {
+    if (body[field] !== undefined) coupon[field] = body[field] === null ? null : parseInt(body[field]);
+  });
+  ['validFrom', 'validUntil'].forEach((field) => {
+    if (body[field] !== undefined) coupon[field] = body[field] ? new Date(body[field]).toISOString() : null;
+  });
+  if (body.transportTypes !== undefined) coupon.transportTypes = body.transportTypes || [];
+  if (body.routes !== undefined) coupon.routes = body.routes || [];
+
+  if (!/^[A-Z0-9_-]{3,30}$/.test(coupon.code || '')) {
+    return { error: 'code must be 3-30 letters, numbers, - or _' };
+  }
+  if (!DISCOUNT_TYPES.includes(coupon.discountType)) {
+    return { error: `discountType must be one of ${DISCOUNT_TYPES.join(', ')}` };
+  }
+  if (!(coupon.discountValue > 0) || (coupon.discountType === 'percentage' && coupon.discountValue > 100)) {
+    return { error: 'discountValue must be above 0 (and at most 100 for percentages)' };
+  }
+  for (const field of ['maxDiscount', 'minAmount']) {
+    if (coupon[field] != null && !(coupon[field] >= 0)) return { error: `${field} must be zero or more` };
+  }
+  for (const field of ['usageLimit', 'perUserLimit']) {
+    if (coupon[field] != null && !(coupon[field] >= 1)) return { error: `${field} must be at least 1` };
+  }
+  if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    return { error: 'validUntil must be after validFrom' };
+  }
+  if (!Array.isArray(coupon.transportTypes || []) || !Array.isArray(coupon.routes || [])) {
+    return { error: 'transportTypes and routes must be lists' };
+  }
+  if ((coupon.routes || []).some(route => !route?.fromLocation || !route?.toLocation)) {
+    return { error: 'Each route needs fromLocation and toLocation' };
+  }
+
+  return {
+    coupon: {
+      transportTypes: [],
+      routes: [],
+      usageLimit: null,
+      perUserLimit: null,
+      isActive: true,
+      ...coupon
+    }
+  };
+};
+
+const calculateDiscount = (coupon, subtotal) => {
+  const discount = coupon.discountType === 'percentage'
+    ? subtotal * coupon.discountValue / 100
+    : coupon.discountValue;
+  const capped = coupon.maxDiscount != null ? Math.min(discount, coupon.maxDiscount) : discount;
+  return roundMoney(Math.min(capped, subtotal));
+};
+
+// Check every coupon rule for this ticket, user and amount. Throws a 400 explaining the first failure.
+const validateCoupon = async (code, { ticket, userEmail, subtotal }) => {
+  const coupon = await couponsCollection.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon || !coupon.isActive) {
+    throw httpError(400, 'Coupon code is not valid');
+  }
+
+  const now = new Date().toISOString();
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw httpError(400, 'Coupon is not active yet');
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw httpError(400, 'Coupon has expired');
+  }
+  if (coupon.scope === 'vendor' && coupon.vendorEmail !== ticket.vendorEmail) {
+    throw httpError(400, 'Coupon cannot be used with this operator');
+  }
+  if (coupon.transportTypes.length > 0 && !coupon.transportTypes.includes(ticket.transportType)) {
+    throw httpError(400, `Coupon only applies to ${coupon.transportTypes.join(', ')} tickets`);
+  }
+  if (coupon.routes.length > 0 && !coupon.routes.some(route =>
+    locationKey(route.fromLocation) === locationKey(ticket.fromLocation) &&
+    locationKey(route.toLocation) === locationKey(ticket.toLocation))) {
+    throw httpError(400, 'Coupon does not apply to this route');
+  }
+  if (coupon.minAmount && subtotal < coupon.minAmount) {
+    throw httpError(400, `Coupon needs a minimum booking of ${coupon.minAmount}`);
+  }
+  if (coupon.usageLimit && (coupon.usedCount || 0) >= coupon.usageLimit) {
+    throw httpError(400, 'Coupon usage limit has been reached');
+  }
+  if (coupon.perUserLimit) {
+    const userRedemptions = await couponRedemptionsCollection.countDocuments({
+      couponId: coupon._id.toString(),
+      userEmail
+    });
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw httpError(400, 'You have already used this coupon');
+    }
+  }
+
+  return { coupon, discount: calculateDiscount(coupon, subtotal) };
+};
+
+// Validate the booking's coupon again and lock the current discount onto it
+const refreshBookingCoupon = async (booking, ticket) => {
+  const subtotal = getBookingSubtotal(ticket, booking);
+  const { discount } = await validateCoupon(booking.couponCode, {
+    ticket,
+    userEmail: booking.userEmail,
+    subtotal
+  });
+
+  if (discount !== booking.discount) {
+    booking.discount = discount;
+    booking.totalPrice = roundMoney(subtotal - discount);
+    await bookingsCollection.updateOne(
+      { _id: booking._id },
+      { $set: { discount, subtotal, totalPrice: booking.totalPrice } }
+    );
+  }
+  return booking;
+};
+
+// Count a coupon use once its booking is paid. The limits were checked at booking time, but
+// other bookings may have used the coupon since, so they are enforced again here: the
+// conditional increment caps usageLimit, and because it writes the coupon document, concurrent
+// redemptions of the same coupon conflict and retry - the per-user count then sees the winner.
+const recordCouponRedemption = async (booking, ticket, { subtotal, discount, amount }, session) => {
+  const coupon = await couponsCollection.findOne({ code: booking.couponCode }, { session });
+  if (!coupon) return null;
+
+  const counted = await couponsCollection.updateOne(
+    coupon.usageLimit ? { _id: coupon._id, usedCount: { $lt: coupon.usageLimit } } : { _id: coupon._id },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (counted.modifiedCount === 0) {
+    throw httpError(400, 'Coupon usage limit has been reached');
+  }
+  if (coupon.perUserLimit) {
+    const userRedemptions = await couponRedemptionsCollection.countDocuments(
+      { couponId: coupon._id.toString(), userEmail: booking.userEmail },
+      { session }
+    );
+    if (userRedemptions >= coupon.perUserLimit) {
+      throw httpError(400, 'You have already used this coupon');
+    }
+  }
+
+  await couponRedemptionsCollection.insertOne({
+    couponId: coupon._id.toString(),
+    code: coupon.code,
+    scope: coupon.scope,
+    userEmail: booking.userEmail,
+    bookingId: booking._id.toString(),
+    ticketId: booking.ticketId,
+    vendorEmail: ticket.vendorEmail,
+    subtotal,
+    discount,
+    amount,
+    redeemedAt: new Date().toISOString()
+  }, { session });
+  return coupon;
+};
+
+// ==================== CANCELLATION POLICY HELPERS ====================
+// Tiers read "cancel at least N hours before departure, get X% back".
+// Tickets without their own policy fall back to this one.
+const DEFAULT_CANCELLATION_POLICY = {
+  tiers: [
+    { hoursBeforeDeparture: 24, refundPercent: 50 },
+    { hoursBeforeDeparture: 0, refundPercent: 0 }
+  ]
+};
+
+const normalizeCancellationPolicy = (policy) => {
+  if (!policy || !Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+    return { error: 'Cancellation policy must contain at least one tier' };
+  }
+
+  const tiers = [];
+  for (const tier of policy.tiers) {
+    const hoursBeforeDeparture = Number(tier.hoursBeforeDeparture);
+    const refundPercent = Number(tier.refundPercent);
+    if (!Number.isFinite(hoursBeforeDeparture) || hoursBeforeDeparture < 0) {
+      return { error: 'hoursBeforeDeparture must be zero or more' };
+    }
+    if (!Number.isFinite(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      return { error: 'refundPercent must be between 0 and 100' };
+    }
+    if (tiers.some(existing => existing.hoursBeforeDeparture === hoursBeforeDeparture)) {
+      return { error: `More than one tier starts at ${hoursBeforeDeparture} hours` };
+    }
+    tiers.push({ hoursBeforeDeparture, refundPercent });
+  }
+
+  // Longest notice first so the first matching tier is the most generous one that applies
+  tiers.sort((a, b) => b.hoursBeforeDeparture - a.hoursBeforeDeparture);
+  return { cancellationPolicy: { tiers } };
+};
+
+// Work out what a paid booking would get back if cancelled right now
+const getRefundQuote = (ticket, paidAmount) => {
+  const hoursBeforeDeparture = (new Date(ticket.departureDateTime) - Date.now()) / (60 * 60 * 1000);
+  if (!(hoursBeforeDeparture > 0)) {
+    return { error: 'Cannot cancel after departure' };
+  }
+
+  const policy = ticket.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+  const tier = policy.tiers.find(t => hoursBeforeDeparture >= t.hoursBeforeDeparture);
+  const refundPercent = tier ? tier.refundPercent : 0;
+
+  return {
+    hoursBeforeDeparture: Math.floor(hoursBeforeDeparture * 10) / 10,
+    refundPercent,
+    paidAmount,
+    refundAmount: Math.round(paidAmount * refundPercent) / 100,
+    policy
+  };
+};
+
+// Refund a paid booking through the provider it was paid with, then cancel it and return its seats.
+// The booking is parked in 'refund_pending' with the quote first so a double click can't refund
+// twice, and the provider's refund id is saved on it before anything else - if the bookkeeping
+// below fails, calling this again (or the refund sweep) finishes the job without refunding again.
+const cancelPaidBooking = async (booking) => {
+  const payment = await paymentsCollection.findOne({ transactionId: booking.transactionId });
+  if (!payment) {
+    throw httpError(400, 'Payment record for this booking was not found');
+  }
+
+  if (booking.status === 'refund_pending') {
+    if (booking.pendingRefund?.status !== 'issued') {
+      throw httpError(400, 'Booking is already being cancelled');
+    }
+    return completeBookingRefund(booking, payment);
+  }
+
+  const ticket = await ticketsCollection.findOne({ _id: new ObjectId(booking.ticketId) });
+  if (!ticket) {
+    throw httpError(404, 'Ticket not found');
+  }
+  const quote = getRefundQuote(ticket, payment.amount);
+  if (quote.error) {
+    throw httpError(400, quote.error);
+  }
+
+  const pendingRefund = {
+    refundAmount: quote.refundAmount,
+    refundPercent: quote.refundPercent,
+    hoursBeforeDeparture: quote.hoursBeforeDeparture,
+    status: 'claimed',
+    claimedAt: new Date().toISOString()
+  };
+  const claimed = await bookingsCollection.updateOne(
+    { _id: booking._id, status: 'paid' },
+    { $set: { status: 'refund_pending', pendingRefund } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw httpError(400, 'Booking is already being cancelled');
+  }
+
+  let providerRefund = null;
+  if (quote.refundAmount > 0) {
+    try {
+      // Payments recorded before other providers existed were all Stripe
+      const provider = paymentProviders[payment.paymentMethod] || paymentProviders.stripe;
+      providerRefund = await provider.refund({
+        payment,
+        ...getRefundCharge(payment, quote.refundAmount),
+        bookingId: booking._id.toString()
+      });
+    } catch (error) {
+      await bookingsCollection.updateOne(
+        { _id: booking._id, status: 'refund_pending' },
+        { $set: { status: 'paid' }, $unset: { pendingRefund: '' } }
+      );
+      console.error("❌ Refund Error:", error.message);
+      throw httpError(502, `Refund could not be issued: ${error.message}`);
+    }
+  }
+
+  Object.assign(pendingRefund, {
+    status: 'issued',
+    providerRefundId: providerRefund?.refundId || null,
+    providerStatus: providerRefund?.status || 'not_required',
+    issuedAt: new Date().toISOString()
+  });
+  await bookingsCollection.updateOne(
+    { _id: booking._id, status: 'refund_pending' },
+    { $set: { pendingRefund } }
+  );
+
+  return completeBookingRefund({ ...booking, status: 'refund_pending', pendingRefund }, payment);
+};
+
+// Record an issued refund, post it to the ledger, cancel the booking and return its seats.
+// Only the first call for a booking does anything; later ones return the stored refund.
+const completeBookingRefund = async (booking, payment) => {
+  const { pendingRefund } = booking;
+  const refundData = {
+    bookingId: booking._id.toString(),
+    ticketId: booking.ticketId,
+    paymentId: payment._id.toString(),
+    transactionId: booking.transactionId,
+    userEmail: booking.userEmail,
+    vendorEmail: payment.vendorEmail,
+    paidAmount: payment.amount,
+    refundAmount: pendingRefund.refundAmount,
+    refundPercent: pendingRefund.refundPercent,
+    hoursBeforeDeparture: pendingRefund.hoursBeforeDeparture,
+    currency: payment.currency,
+    provider: payment.paymentMethod || 'stripe',
+    providerRefundId: pendingRefund.providerRefundId,
+    providerStatus: pendingRefund.providerStatus,
+    createdAt: new Date().toISOString()
+  };
+
+  return runTransaction(async (session) => {
+    const refundId = new ObjectId();
+    const cancelled = await bookingsCollection.updateOne(
+      { _id: booking._id, status: 'refund_pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date().toISOString(),
+          refundAmount: pendingRefund.refundAmount,
+          refundId: refundId.toString(),
+          'pendingRefund.status': 'completed'
+        }
+      },
+      { session }
+    );
+    if (cancelled.modifiedCount === 0) {
+      return refundsCollection.findOne({ bookingId: booking._id.toString(), type: { $ne: 'unconfirmed_payment' } }, { session });
+    }
+    
+    await refundsCollection.insertOne({ _id: refundId, ...refundData }, { session });
+    await postRefundJournal(payment, { ...refundData, _id: refundId }, session);
+    // Bookings paid before reservations existed had their stock taken at payment time
+    if (!booking.reservationStatus) {
+      await bookingsCollection.updateOne(
+        { _id: booking._id },
+        { $set: { reservationStatus: 'confirmed' } },
+        { session }
+      );
+    }
+    await releaseReservation(booking, session);
+    emitAfterCommit(session, 'booking.refunded', { booking, refundAmount: pendingRefund.refundAmount });
+    return { ...refundData, _id: refundId };
+  });
+};
+
+// Finish refunds whose money has already gone back, and retry refunds of payments that
+// could never be confirmed
+const completePendingRefunds = async () => {
+  const issued = await bookingsCollection
+    .find({ status: 'refund_pending', 'pendingRefund.status': 'issued' })
+    .toArray();
+  for (const booking of issued) {
+    const payment = await paymentsCollection.findOne({ transactionId: booking.transactionId });
+    if (payment) {
+      await completeBookingRefund(booking, payment);
+    }
+  }
+
+  const failed = await refundsCollection.find({ type: 'unconfirmed_payment', status: 'failed' }).toArray();
+  for (const refund of failed) {
+    await issueUnconfirmedRefund(refund);
+  }
+  return issued.length + failed.length;
+};
+
+// ==================== LEDGER HELPERS ====================
+// Double-entry ledger: every money movement is a journal whose debits equal its credits.
+//   platform:cash         money held by the platform at the payment provider
+//   platform:commission   commission earned on vendor sales
+//   platform:promotions   platform-funded coupon discounts
+//   platform:adjustments  manual corrections made by admins
+//   vendor:<email>        what the platform owes that vendor (a credit balance)
+const DEFAULT_COMMISSION_PERCENT = Number(process.env.PLATFORM_COMMISSION_PERCENT ?? 10);
+const SETTLEMENT_PERIOD_DAYS = parseInt(process.env.SETTLEMENT_PERIOD_DAYS) || 7;
+const COMMISSION_SCOPES = ['default', 'transportType', 'vendor'];
+const LEDGER_ACCOUNTS = {
+  cash: 'platform:cash',
+  commission: 'platform:commission',
+  promotions: 'platform:promotions',
+  adjustments: 'platform:adjustments'
+};
+const vendorAccount = (email) => `vendor:${email}`;
+
+// Most specific rule wins: vendor, then transport type, then the platform default
+const getCommissionPercent = async (vendorEmail, transportType, session) => {
+  const rules = await commissionRulesCollection.find({
+    $or: [
+      { scope: 'vendor', vendorEmail },
+      { scope: 'transportType', transportType },
+      { scope: 'default' }
+    ]
+  }, { session }).toArray();
+  const rule = ['vendor', 'transportType', 'default']
+    .map(scope => rules.find(candidate => candidate.scope === scope))
+    .find(Boolean);
+  return rule ? rule.percent : DEFAULT_COMMISSION_PERCENT;
+};
+
+const postJournal = async ({ type, vendorEmail, reference, memo = null, lines, settlementId = null }, session) => {
+  const postedLines = lines
+    .map(line => ({ ...line, debit: roundMoney(line.debit || 0), credit: roundMoney(line.credit || 0) }))
+    .filter(line => line.debit !== 0 || line.credit !== 0);
+  const debits = roundMoney(postedLines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundMoney(postedLines.reduce((sum, line) => sum + line.credit, 0));
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ${type} journal: debits ${debits} != credits ${credits}`);
+  }
+
+  const journalId = new ObjectId().toString();
+  const createdAt = new Date().toISOString();
+  await ledgerEntriesCollection.insertMany(postedLines.map(line => ({
+    journalId,
+    type,
+    account: line.account,
+    debit: line.debit,
+    credit: line.credit,
+    vendorEmail,
+    reference,
+    memo,
+    settlementId,
+    createdAt
+  })), { session });
+  return journalId;
+};
+
+// Split a payment between vendor and platform. Platform coupons are funded by the platform,
+// so the vendor is paid as if the customer paid the full subtotal.
+const splitPayment = (amount, platformDiscount, commissionPercent) => {
+  const saleValue = roundMoney(amount + platformDiscount);
+  const commission = roundMoney(saleValue * commissionPercent / 100);
+  return { commission, vendorShare: roundMoney(saleValue - commission) };
+};
+
+const postPaymentJournal = (payment, session) => postJournal({
+  type: 'payment',
+  vendorEmail: payment.vendorEmail,
+  reference: { paymentId: payment._id.toString(), bookingId: payment.bookingId },
+  lines: [
+    { account: LEDGER_ACCOUNTS.cash, debit: payment.amount },
+    { account: LEDGER_ACCOUNTS.promotions, debit: payment.platformDiscount },
+    { account: vendorAccount(payment.vendorEmail), credit: payment.vendorShare },
+    { account: LEDGER_ACCOUNTS.commission, credit: payment.commission }
+  ]
+}, session);
+
+// Reverse the refunded share of the original split
+const postRefundJournal = (payment, refund, session) => {
+  // Payments recorded before the ledger existed never credited the vendor
+  if (payment.vendorShare === undefined || !(refund.refundAmount > 0)) return null;
+
+  const ratio = refund.refundAmount / payment.amount;
+  const vendorDebit = roundMoney(payment.vendorShare * ratio);
+  const promotionsCredit = roundMoney((payment.platformDiscount || 0) * ratio);
+  // Commission absorbs the rounding so the journal always balances
+  const commissionDebit = roundMoney(refund.refundAmount + promotionsCredit - vendorDebit);
+
+  return postJournal({
+    type: 'refund',
+    vendorEmail: payment.vendorEmail,
+    reference: { paymentId: payment._id.toString(), bookingId: refund.bookingId, refundId: refund._id.toString() },
+    lines: [
+      { account: vendorAccount(payment.vendorEmail), debit: vendorDebit },
+      { account: LEDGER_ACCOUNTS.commission, debit: commissionDebit },
+      { account: LEDGER_ACCOUNTS.cash, credit: refund.refundAmount },
+      { account: LEDGER_ACCOUNTS.promotions, credit: promotionsCredit }
+    ]
+  }, session);
+};
+
+// Positive amounts credit the vendor, negative amounts debit them
+const postAdjustmentJournal = ({ vendorEmail, amount, memo, actorEmail }, session) => postJournal({
+  type: 'adjustment',
+  vendorEmail,
+  reference: { by: actorEmail },
+  memo,
+  lines: amount > 0
+    ? [
+      { account: LEDGER_ACCOUNTS.adjustments, debit: amount },
+      { account: vendorAccount(vendorEmail), credit: amount }
+    ]
+    : [
+      { account: vendorAccount(vendorEmail), debit: -amount },
+      { account: LEDGER_ACCOUNTS.adjustments, credit: -amount }
+    ]
+}, session);
+
+const getVendorBalance = async (vendorEmail, match = {}) => {
+  const [result] = await ledgerEntriesCollection.aggregate([
+    { $match: { account: vendorAccount(vendorEmail), ...match } },
+    { $group: { _id: null, credit: { $sum: '$credit' }, debit: { $sum: '$debit' } } }
+  ]).toArray();
+  return roundMoney((result?.credit || 0) - (result?.debit || 0));
+};
+
+// Periods are SETTLEMENT_PERIOD_DAYS long and close at midnight Bangladesh time
+const getSettlementPeriodEnd = () => {
+  const localDay = Math.floor((Date.now() + 6 * 60 * 60 * 1000) / DAY_MS);
+  const endDay = localDay - (localDay % SETTLEMENT_PERIOD_DAYS);
+  return new Date(endDay * DAY_MS - 6 * 60 * 60 * 1000).toISOString();
+};
+
+// Close a vendor's unsettled entries up to `periodEnd` into a statement. A period where
+// refunds outweigh sales produces no statement - it rolls into the next one.
+// An admin closing periods by hand passes the request, so each statement is audited with it
+const settleVendor = (vendorEmail, periodEnd, req = null) => runTransaction(async (session) => {
+  const entries = await ledgerEntriesCollection.find({
+    account: vendorAccount(vendorEmail),
+    settlementId: null,
+    type: { $ne: 'payout' },
+    createdAt: { $lt: periodEnd }
+  }, { session }).toArray();
+  if (entries.length === 0) return null;
+
+  const totals = { sales: 0, refunds: 0, adjustments: 0 };
+  const totalKey = { payment: 'sales', refund: 'refunds', adjustment: 'adjustments' };
+  entries.forEach((entry) => {
+    totals[totalKey[entry.type]] += entry.credit - entry.debit;
+  });
+  const netPayable = roundMoney(totals.sales + totals.refunds + totals.adjustments);
+  if (netPayable <= 0) return null;
+
+  // Commission shown on the statement comes from the same journals
+  const commissionEntries = await ledgerEntriesCollection.find({
+    journalId: { $in: entries.map(entry => entry.journalId) },
+    account: LEDGER_ACCOUNTS.commission
+  }, { session }).toArray();
+  const commission = commissionEntries.reduce((sum, entry) => sum + entry.credit - entry.debit, 0);
+
+  const settlement = {
+    vendorEmail,
+    periodStart: new Date(new Date(periodEnd).getTime() - SETTLEMENT_PERIOD_DAYS * DAY_MS).toISOString(),
+    periodEnd,
+    totals: {
+      sales: roundMoney(totals.sales),
+      refunds: roundMoney(totals.refunds),
+      adjustments: roundMoney(totals.adjustments),
+      commission: roundMoney(commission)
+    },
+    netPayable,
+    entryCount: entries.length,
+    status: 'open',
+    payout: null,
+    createdAt: new Date().toISOString()
+  };
+  const { insertedId } = await settlementsCollection.insertOne(settlement, { session });
+  await ledgerEntriesCollection.updateMany(
+    { _id: { $in: entries.map(entry => entry._id) } },
+    { $set: { settlementId: insertedId.toString() } },
+    { session }
+  );
+  if (req) {
+    await recordAudit(req, {
+      action: 'settlement.generate',
+      targetType: 'settlement',
+      targetId: insertedId,
+      after: settlement,
+      metadata: { vendorEmail, amount: netPayable }
+    }, session);
+  }
+  return { ...settlement, _id: insertedId };
+});
+
+const generateSettlements = async (periodEnd = getSettlementPeriodEnd(), req = null) => {
+  const vendorEmails = await ledgerEntriesCollection.distinct('vendorEmail', {
+    account: { $regex: '^vendor:' },
+    settlementId: null,
+    type: { $ne: 'payout' },
+    createdAt: { $lt: periodEnd }
+  });
+  const settlements = [];
+  for (const vendorEmail of vendorEmails) {
+    try {
+      const settlement = await settleVendor(vendorEmail, periodEnd, req);
+      if (settlement) settlements.push(settlement);
+    } catch (error) {
+      // Another run already closed this period for the vendor
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return settlements;
+};
+
+// ==================== E-TICKET HELPERS ====================
+const ETICKET_SECRET = process.env.ETICKET_SECRET || ACCESS_TOKEN_SECRET;
+// Ticket codes and access tokens may share a secret, so each side checks the audience
+// to keep a QR code from working as a login and a login from passing as a ticket
+const ETICKET_AUDIENCE = 'ticketbari:eticket';
+
+// The QR code carries a signed token, so a conductor can trust it without a lookup table
+const signTicketCode = (booking) => jwt.sign(
+  { bid: booking._id.toString(), tid: booking.ticketId, txn: booking.transactionId },
+  ETICKET_SECRET,
+  { audience: ETICKET_AUDIENCE }
+);
+
+const verifyTicketCode = (code) => {
+  try {
+    return jwt.verify(code, ETICKET_SECRET, { audience: ETICKET_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-GB', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone: 'Asia/Dhaka'
+});
+
+// Draw the e-ticket straight into the response stream
+const writeETicketPdf = async (res, { booking, ticket, passengerName }) => {
+  const qrImage = await QRCode.toBuffer(signTicketCode(booking), { margin: 1, width: 200 });
+  const doc = new PDFDocument({ size: 'A5', margin: 36 });
+  doc.pipe(res);
+
+  doc.fontSize(20).text('TicketBari E-Ticket', { align: 'center' });
+  doc.moveDown(0.3);
+  doc.fontSize(10).fillColor('#666').text(`Booking #${booking._id}`, { align: 'center' });
+  doc.moveDown();
+
+  const rows = [
+    ['Passenger', passengerName],
+    ['Route', `${ticket.fromLocation} to ${ticket.toLocation}`],
+    ['Service', ticket.title],
+    ['Transport', ticket.transportType],
+    ['Departure', formatDateTime(ticket.departureDateTime)],
+    ['Seats', booking.seats?.length ? booking.seats.join(', ') : `${booking.bookingQuantity} (unassigned)`],
+    ['Transaction ID', booking.transactionId]
+  ];
+  rows.forEach(([label, value]) => {
+    doc.fillColor('#666').fontSize(9).text(label.toUpperCase());
+    doc.fillColor('#000').fontSize(12).text(String(value ?? '-'));
+    doc.moveDown(0.4);
+  });
+
+  doc.moveDown(0.5);
+  doc.image(qrImage, (doc.page.width - 160) / 2, doc.y, { width: 160 });
+  doc.moveDown(0.5);
+  doc.y += 160;
+  doc.fillColor('#666').fontSize(8).text('Show this code to the conductor at boarding.', { align: 'center' });
+
+  doc.end();
+};
+
+// ==================== LOCATION CATALOG HELPERS ====================
+// Places come from one catalog: a canonical id, English and Bangla names, aliases, division,
+// district and coordinates. Tickets keep the canonical English name in fromLocation/toLocation,
+// which every client already shows, plus fromLocationId/toLocationId. That way "Coxs Bazar",
+// "Cox's Bazar" and "কক্সবাজার" are all the same route.
+const LOCATION_CATALOG_SEED = require('./locations.json');
+const BD_DIVISIONS = ['Barishal', 'Chattogram', 'Dhaka', 'Khulna', 'Mymensingh', 'Rajshahi', 'Rangpur', 'Sylhet'];
+const LOCATION_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Case, punctuation and spacing never make two places different. Bangla vowel signs are
+// combining marks, so those are kept.
+const normalizeLocationKey = (value) => String(value || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/['’`.]/g, '')
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+  .trim();
+
+// Every spelling that should resolve to this place
+const getLocationKeys = (location) => [...new Set(
+  [location._id.replace(/-/g, ' '), location.name, location.nameBn, ...(location.aliases || [])]
+    .map(normalizeLocationKey)
+    .filter(Boolean)
+)];
+
+const toLocationDoc = ({ id, ...fields }) => {
+  const location = { _id: id, ...fields, aliases: fields.aliases || [] };
+  return { ...location, keys: getLocationKeys(location) };
+};
+
+// Add catalog entries shipped with the server. Entries that already exist keep any admin edits.
+const seedLocationCatalog = async () => {
+  const result = await locationsCollection.bulkWrite(
+    LOCATION_CATALOG_SEED.map(entry => ({
+      updateOne: {
+        filter: { _id: entry.id },
+        update: { $setOnInsert: { ...toLocationDoc(entry), createdAt: new Date().toISOString() } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+  return result.upsertedCount;
+};
+
+// Look a place up by catalog id, name, Bangla name or alias
+const findLocation = async (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  return locationsCollection.findOne({ $or: [{ _id: text }, { keys: normalizeLocationKey(text) }] });
+};
+
+// Point a ticket, schedule or coupon route at catalog entries. Only the fields present are
+// resolved, so partial updates work; pass a shared `cache` when resolving many rows.
+const resolveRouteLocations = async (doc, cache = new Map()) => {
+  for (const field of ['fromLocation', 'toLocation']) {
+    if (doc[field] === undefined) continue;
+    const key = normalizeLocationKey(doc[field]);
+    if (!cache.has(key)) {
+      cache.set(key, await findLocation(doc[field]));
+    }
+    const location = cache.get(key);
+    if (!location) {
+      return { path: field, error: `${field} "${doc[field]}" is not in the location catalog` };
+    }
+    doc[field] = location.name;
+    doc[`${field}Id`] = location._id;
+  }
+  if (doc.fromLocationId && doc.fromLocationId === doc.toLocationId) {
+    return { path: 'toLocation', error: 'fromLocation and toLocation must be different places' };
+  }
+  return {};
+};
+
+// Coupon routes name places the same way tickets do
+const resolveCouponRoutes = async (coupon) => {
+  const cache = new Map();
+  for (const route of coupon.routes || []) {
+    const { error } = await resolveRouteLocations(route, cache);
+    if (error) return { error };
+  }
+  return {};
+};
+
+// Search filter for one end of a route: the catalog id when the text is (close to) a known
+// place, otherwise an escaped prefix match on the name
+const getLocationFilter = async (field, value) => {
+  const location = await resolveLocationInput(value);
+  return location
+    ? { [`${field}Id`]: location._id }
+    : { [field]: new RegExp(`^${escapeRegex(String(value).trim())}`, 'i') };
+};
+
+// ==================== SEARCH HELPERS ====================
+// Ticket search never hands raw input to $regex: text goes to the weighted text index, names
+// are escaped and anchored, and places are matched against the catalog with a little typo
+// tolerance. The catalog is small, so it is kept in memory for autocomplete.
+const LOCATION_CATALOG_TTL_MS = 5 * 60 * 1000;
+const SEARCH_SORTS = ['relevance', 'price_asc', 'price_desc', 'departure', 'rating'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SEARCH_LENGTH = 100;
+
+// Approved, visible and not yet departed - what a passenger can actually buy
+const getBookableTicketFilter = () => ({
+  verificationStatus: 'approved',
+  isHidden: { $ne: true },
+  departureDateTime: { $gte: new Date().toISOString() }
+});
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches `text` at the start of the value or of any word in it ("green" finds "Sylhet Green Line")
+const wordPrefixRegex = (text) => new RegExp(`(^|[\\s(/-])${escapeRegex(String(text).trim())}`, 'i');
+
+let locationCatalogCache = null;
+
+const getLocationCatalog = async () => {
+  if (!locationCatalogCache || locationCatalogCache.expiresAt < Date.now()) {
+    locationCatalogCache = {
+      places: await locationsCollection.find().toArray(),
+      expiresAt: Date.now() + LOCATION_CATALOG_TTL_MS
+    };
+  }
+  return locationCatalogCache.places;
+};
+
+// Admin edits show up in search straight away rather than after the TTL
+const invalidateLocationCatalog = () => {
+  locationCatalogCache = null;
+};
+
+// Optimal string alignment distance: edits plus swapped neighbours ("dhkaa" -> "dhaka" is 1)
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Longer input earns more slack; two-letter input has to be typed right
+const getAllowedTypos = (length) => (length < 3 ? 0 : length <= 5 ? 1 : 2);
+
+// Lower is better: exact name, then prefix, then word prefix, then within the typo budget.
+// Typos are also checked against the start of the name so half-typed input still matches.
+const scoreLocationKey = (query, key) => {
+  if (key === query) return 0;
+  if (key.startsWith(query)) return 1;
+  if (key.split(' ').some(word => word.startsWith(query))) return 2;
+
+  const allowed = getAllowedTypos(query.length);
+  if (allowed === 0) return Infinity;
+  const distance = Math.min(editDistance(query, key), editDistance(query, key.slice(0, query.length)));
+  return distance <= allowed ? 2 + distance : Infinity;
+};
+
+// Catalog places matching `text`, best first
+const matchLocations = async (text, limit = 5) => {
+  const query = normalizeLocationKey(text).slice(0, MAX_SEARCH_LENGTH);
+  if (!query) return [];
+
+  const places = await getLocationCatalog();
+  return places
+    .map(place => ({ place, score: Math.min(...place.keys.map(key => scoreLocationKey(query, key))) }))
+    .filter(match => match.score !== Infinity)
+    .sort((a, b) => a.score - b.score || a.place.name.localeCompare(b.place.name))
+    .slice(0, limit)
+    .map(match => match.place);
+};
+
+// One place for a from/to box: an exact catalog hit, else the closest fuzzy match
+const resolveLocationInput = async (text) => (await findLocation(text)) || (await matchLocations(text, 1))[0] || null;
+
+// Validate GET /search/tickets into a MongoDB query, sort and what the input was read as
+const buildTicketSearch = async (params) => {
+  const { q, from, to, date, transportType, departAfter, departBefore, sort = 'relevance' } = params;
+  const query = getBookableTicketFilter();
+  const interpretedAs = {};
+
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: `sort must be one of ${SEARCH_SORTS.join(', ')}` };
+  }
+
+  for (const [field, value] of [['fromLocation', from], ['toLocation', to]]) {
+    if (!value) continue;
+    const place = await resolveLocationInput(value);
+    if (place) {
+      query[`${field}Id`] = place._id;
+      interpretedAs[field] = toPublicLocation(place);
+    } else {
+      query[field] = new RegExp(`^${escapeRegex(String(value).trim())}`, 'i');
+    }
+  }
+
+  if (date) {
+    if (!isDateString(date)) {
+      return { error: 'date must be YYYY-MM-DD' };
+    }
+    const now = query.departureDateTime.$gte;
+    const dayStart = new Date(`${date}T00:00:00${DHAKA_OFFSET}`).toISOString();
+    const dayEnd = new Date(new Date(dayStart).getTime() + DAY_MS).toISOString();
+    query.departureDateTime = { $gte: dayStart > now ? dayStart : now, $lt: dayEnd };
+  }
+
+  const minPrice = params.minPrice !== undefined ? Number(params.minPrice) : undefined;
+  const maxPrice = params.maxPrice !== undefined ? Number(params.maxPrice) : undefined;
+  if ([minPrice, maxPrice].some(price => price !== undefined && !(price >= 0))) {
+    return { error: 'minPrice and maxPrice must be zero or more' };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.price = {};
+    if (minPrice !== undefined) query.price.$gte = minPrice;
+    if (maxPrice !== undefined) query.price.$lte = maxPrice;
+  }
+
+  if (transportType && transportType !== 'all') {
+    query.transportType = String(transportType).toLowerCase();
+  }
+
+  // Every requested perk, ignoring case
+  if (params.perks) {
+    const perks = String(params.perks).split(',').map(perk => perk.trim()).filter(Boolean);
+    if (perks.length > 0) {
+      query.perks = { $all: perks.map(perk => new RegExp(`^${escapeRegex(perk)}$`, 'i')) };
+    }
+  }
+
+  // Time of day in Bangladesh; a window like 22:00-04:00 runs past midnight
+  if (departAfter || departBefore) {
+    if ([departAfter, departBefore].some(time => time && !TIME_PATTERN.test(time))) {
+      return { error: 'departAfter and departBefore must be HH:mm' };
+    }
+    const localTime = {
+      $dateToString: { format: '%H:%M', date: { $toDate: '$departureDateTime' }, timezone: ANALYTICS_TIMEZONE }
+    };
+    const after = { $gte: [localTime, departAfter || '00:00'] };
+    const before = { $lte: [localTime, departBefore || '23:59'] };
+    query.$expr = departAfter && departBefore && departAfter > departBefore
+      ? { $or: [after, before] }
+      : { $and: [after, before] };
+  }
+
+  // Free text: a place name searches that place's routes, anything else goes to the text index
+  let textSearch = false;
+  if (q && String(q).trim()) {
+    const text = String(q).trim().slice(0, MAX_SEARCH_LENGTH);
+    const place = await findLocation(text);
+    if (place) {
+      query.$or = [{ fromLocationId: place._id }, { toLocationId: place._id }];
+      interpretedAs.q = toPublicLocation(place);
+    } else {
+      query.$text = { $search: text };
+      textSearch = true;
+    }
+  }
+
+  const sorts = {
+    relevance: textSearch ? { score: { $meta: 'textScore' }, departureDateTime: 1 } : { departureDateTime: 1 },
+    price_asc: { price: 1, departureDateTime: 1 },
+    price_desc: { price: -1, departureDateTime: 1 },
+    departure: { departureDateTime: 1 },
+    rating: { 'rating.average': -1, 'rating.count': -1 }
+  };
+
+  return {
+    query,
+    sort: sorts[sort],
+    projection: textSearch ? { score: { $meta: 'textScore' } } : undefined,
+    interpretedAs
+  };
+};
+
+// ==================== TICKET MODERATION HELPERS ====================
+// draft -> pending -> approved | rejected, and rejected -> resubmitted -> approved | rejected.
+// A material edit to an approved ticket sends it back as resubmitted. Every change is kept
+// in ticketRevisions so admins can see exactly what they are being asked to approve.
+const AWAITING_REVIEW_STATUSES = ['pending', 'resubmitted'];
+const TICKET_CONTENT_FIELDS = [
+  'title', 'fromLocation', 'toLocation', 'transportType', 'price', 'ticketQuantity',
+  'departureDateTime', 'arrivalDateTime', 'perks', 'image', 'vendorName', 'seatLayout', 'cancellationPolicy',
+  'passengerIdRequired'
+];
+// Changing any of these on an approved ticket needs a fresh approval
+const MATERIAL_TICKET_FIELDS = [
+  'title', 'fromLocation', 'toLocation', 'transportType', 'price',
+  'departureDateTime', 'arrivalDateTime', 'perks', 'seatLayout'
+];
+
+// Stock moves with every booking, so it is never part of what an admin approved
+const REVIEWED_TICKET_FIELDS = TICKET_CONTENT_FIELDS.filter(field => field !== 'ticketQuantity');
+
+const pickTicketFields = (ticket, fields = TICKET_CONTENT_FIELDS) =>
+  Object.fromEntries(fields.filter(field => ticket?.[field] !== undefined).map(field => [field, ticket[field]]));
+
+// Where a vendor edit leaves the ticket: only approved tickets move, and only on material changes
+const getStatusAfterEdit = (before, after) => {
+  if (before.verificationStatus !== 'approved') {
+    return before.verificationStatus;
+  }
+  const materialChanges = diffDocuments(
+    pickTicketFields(before, MATERIAL_TICKET_FIELDS),
+    pickTicketFields(after, MATERIAL_TICKET_FIELDS)
+  );
+  return Object.keys(materialChanges).length > 0 ? 'resubmitted' : 'approved';
+};
+
+// Status a vendor submission moves the ticket to
+const SUBMIT_TRANSITIONS = { draft: 'pending', rejected: 'resubmitted' };
+
+// Next revision number from the ticket's own counter, so concurrent edits never share one.
+// Tickets from before the counter start it from their highest recorded revision.
+const nextTicketRevision = async (ticketId, session) => {
+  const _id = new ObjectId(String(ticketId));
+  const counted = await ticketsCollection.findOneAndUpdate(
+    { _id, revisionCount: { $exists: true } },
+    { $inc: { revisionCount: 1 } },
+    { session, returnDocument: 'after', projection: { revisionCount: 1 }, includeResultMetadata: false }
+  );
+  if (counted) return counted.revisionCount;
+
+  const [latest] = await ticketRevisionsCollection
+    .find({ ticketId: String(ticketId) }, { session, projection: { revision: 1 } })
+    .sort({ revision: -1 })
+    .limit(1)
+    .toArray();
+  const revision = (latest?.revision || 0) + 1;
+  const started = await ticketsCollection.updateOne(
+    { _id, revisionCount: { $exists: false } },
+    { $set: { revisionCount: revision } },
+    { session }
+  );
+  if (started.modifiedCount > 0) return revision;
+  // Someone else started the counter first - take the next number from it
+  const exists = await ticketsCollection.countDocuments({ _id }, { session, limit: 1 });
+  return exists ? nextTicketRevision(ticketId, session) : revision;
+};
+
+const buildTicketRevision = (ticketId, revision, { action, actorEmail, before = null, after, reason = null }) => ({
+  ticketId: String(ticketId),
+  revision,
+  action,
+  actorEmail,
+  statusBefore: before?.verificationStatus || null,
+  statusAfter: after.verificationStatus,
+  changes: diffDocuments(pickTicketFields(before), pickTicketFields(after)),
+  reason,
+  createdAt: new Date().toISOString()
+});
+
+const recordTicketRevision = async (ticketId, change, session) => {
+  const revision = await nextTicketRevision(ticketId, session);
+  await ticketRevisionsCollection.insertOne(buildTicketRevision(ticketId, revision, change), { session });
+};
+
+// Revision history plus what changed since the ticket was last approved
+const getTicketRevisionReport = async (ticket) => {
+  const revisions = await ticketRevisionsCollection
+    .find({ ticketId: ticket._id.toString() })
+    .sort({ revision: -1 })
+    .toArray();
+  return {
+    ticketId: ticket._id.toString(),
+    verificationStatus: ticket.verificationStatus,
+    rejectionReason: ticket.rejectionReason || null,
+    changesSinceApproval: ticket.approvedSnapshot
+      ? diffDocuments(
+        pickTicketFields(ticket.approvedSnapshot, REVIEWED_TICKET_FIELDS),
+        pickTicketFields(ticket, REVIEWED_TICKET_FIELDS)
+      )
+      : null,
+    revisions
+  };
+};
+
+// ==================== TICKET IMPORT HELPERS ====================
+// Vendors with many departures upload them in one go, as CSV (a header row of ticket field
+// names, perks comma-separated inside one cell) or as a JSON list. Every row is checked on its
+// own so the vendor gets a line-by-line report; the valid rows are inserted together as
+// pending tickets.
+const IMPORT_MAX_ROWS = 500;
+const TRANSPORT_TYPES = ['bus', 'train', 'launch', 'plane'];
+// Seat maps and cancellation policies don't fit in a spreadsheet row - set them per ticket later
+const IMPORT_TICKET_FIELDS = [
+  'title', 'fromLocation', 'toLocation', 'transportType', 'price', 'ticketQuantity',
+  'departureDateTime', 'arrivalDateTime', 'perks', 'image', 'vendorName'
+];
+
+// RFC 4180: quoted cells may hold commas, doubled quotes and line breaks.
+// Each row keeps the line it starts on so the report matches the vendor's spreadsheet.
+const parseCsv = (text) => {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') line++;
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      } else if (char === '\r') {
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return { rows, error: quoted ? 'CSV has an unterminated quoted cell' : null };
+};
+
+// CSV text -> [{ row, data }], with `row` being the spreadsheet line number
+const csvToImportRows = (text) => {
+  const { rows, error } = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  if (error) {
+    return { error };
+  }
+  if (rows.length < 2) {
+    return { error: 'CSV needs a header row and at least one ticket' };
+  }
+
+  const [header, ...body] = rows;
+  const columns = header.cells.map(name => name.trim());
+  const unknown = columns.filter(name => !IMPORT_TICKET_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Allowed: ${IMPORT_TICKET_FIELDS.join(', ')}` };
+  }
+
+  return {
+    rows: body.map(({ line, cells }) => {
+      const data = {};
+      columns.forEach((name, i) => {
+        const value = (cells[i] || '').trim();
+        if (value === '') return;
+        data[name] = name === 'perks' ? value.split(',').map(perk => perk.trim()).filter(Boolean) : value;
+      });
+      return { row: line, data };
+    })
+  };
+};
+
+// JSON { tickets: [...] } -> [{ row, data }], rows numbered from 1
+const jsonToImportRows = (body) => {
+  if (!isPlainObject(body) || !Array.isArray(body.tickets) || body.tickets.length === 0) {
+    return { error: 'Send a CSV file (Content-Type: text/csv) or JSON like { "tickets": [...] }' };
+  }
+  return { rows: body.tickets.map((data, i) => ({ row: i + 1, data })) };
+};
+
+// Same rules as POST /tickets, plus the checks a vendor would otherwise only find out about later
+const validateImportRow = (data, now) => {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    return { errors: [{ path: '', message: 'must be an object' }] };
+  }
+
+  const input = { ...data };
+  if (typeof input.transportType === 'string') {
+    input.transportType = input.transportType.trim().toLowerCase();
+  }
+  const ticket = checkObject(schemas.importTicket, input, '', errors);
+
+  if (ticket.departureDateTime && ticket.departureDateTime <= now) {
+    errors.push({ path: 'departureDateTime', message: 'must be in the future' });
+  }
+  if (ticket.arrivalDateTime && ticket.departureDateTime && ticket.arrivalDateTime <= ticket.departureDateTime) {
+    errors.push({ path: 'arrivalDateTime', message: 'must be after departureDateTime' });
+  }
+  if (ticket.perks) {
+    ticket.perks = [...new Set(ticket.perks)];
+  }
+
+  return { ticket, errors };
+};
+
+// A vendor can't list the same title twice for one departure, in the file or already on sale
+const getImportKey = (ticket) => `${ticket.title.toLowerCase()}|${ticket.departureDateTime}`;
+
+// Validate every row, then (unless dryRun) insert the valid ones as one batch of pending tickets
+const importTickets = async ({ rows, vendorEmail, dryRun }) => {
+  const now = new Date().toISOString();
+  const results = rows.map(({ row, data }) => ({ row, ...validateImportRow(data, now) }));
+
+  const locationCache = new Map();
+  for (const result of results) {
+    if (result.errors.length > 0) continue;
+    const { path, error } = await resolveRouteLocations(result.ticket, locationCache);
+    if (error) {
+      result.errors.push({ path, message: error });
+    }
+  }
+
+  const departures = [...new Set(results.filter(r => r.errors.length === 0).map(r => r.ticket.departureDateTime))];
+  const existing = await ticketsCollection
+    .find({ vendorEmail, departureDateTime: { $in: departures } }, { projection: { title: 1, departureDateTime: 1 } })
+    .toArray();
+  const seen = new Map(existing.map(ticket => [getImportKey(ticket), 'an existing ticket']));
+
+  results.forEach((result) => {
+    if (result.errors.length > 0) return;
+    const key = getImportKey(result.ticket);
+    if (seen.has(key)) {
+      result.errors.push({ path: 'title', message: `duplicates ${seen.get(key)} with the same title and departure` });
+    } else {
+      seen.set(key, `row ${result.row}`);
+    }
+  });
+
+  const valid = results.filter(result => result.errors.length === 0);
+  const createdAt = new Date().toISOString();
+  const ticketDocs = valid.map(({ ticket }) => ({
+    ...ticket,
+    vendorEmail,
+    verificationStatus: 'pending',
+    isAdvertised: false,
+    isHidden: false,
+    revisionCount: 1,
+    createdAt
+  }));
+
+  // New tickets start their revision counter at the import, so all the revisions go in one write
+  if (!dryRun && ticketDocs.length > 0) {
+    await runTransaction(async (session) => {
+      await ticketsCollection.insertMany(ticketDocs, { session });
+      await ticketRevisionsCollection.insertMany(
+        ticketDocs.map(ticketDoc => buildTicketRevision(ticketDoc._id, 1, { action: 'imported', actorEmail: vendorEmail, after: ticketDoc })),
+        { session }
+      );
+    });
+  }
+
+  return {
+    dryRun,
+    totalRows: results.length,
+    validRows: valid.length,
+    invalidRows: results.length - valid.length,
+    createdCount: dryRun ? 0 : ticketDocs.length,
+    rows: results.map((result) => {
+      const index = valid.indexOf(result);
+      return {
+        row: result.row,
+        status: result.errors.length > 0 ? 'invalid' : (dryRun ? 'valid' : 'created'),
+        ticketId: !dryRun && index !== -1 ? ticketDocs[index]._id.toString() : null,
+        errors: result.errors
+      };
+    })
+  };
+};
+
+// ==================== SCHEDULE HELPERS ====================
+// A schedule is a route template plus a recurrence. Dated tickets are generated from it
+// over a rolling window, so vendors don't have to re-create every departure by hand.
+const SCHEDULE_WINDOW_DAYS = parseInt(process.env.SCHEDULE_WINDOW_DAYS) || 30;
+const DHAKA_OFFSET = '+06:00';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_TEMPLATE_FIELDS = [
+  'title', 'fromLocation', 'toLocation', 'transportType', 'price', 'perks',
+  'image', 'vendorName', 'seatLayout', 'cancellationPolicy', 'passengerIdRequired'
+];
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+
+// Today's calendar date in Bangladesh time
+const getLocalDate = (offsetDays = 0) => new Date(Date.now() + 6 * 60 * 60 * 1000 + offsetDays * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+const addDays = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+const normalizeRecurrence = (recurrence) => {
+  if (!recurrence || !['daily', 'weekly'].includes(recurrence.frequency)) {
+    return { error: 'recurrence.frequency must be daily or weekly' };
+  }
+
+  const weekdays = recurrence.frequency === 'weekly'
+    ? [...new Set((recurrence.weekdays || []).map(Number))].sort()
+    : [];
+  if (recurrence.frequency === 'weekly' && (weekdays.length === 0 || weekdays.some(day => !(day >= 0 && day <= 6)))) {
+    return { error: 'recurrence.weekdays must list days 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  const startDate = recurrence.startDate || getLocalDate();
+  if (!isDateString(startDate)) {
+    return { error: 'recurrence.startDate must be YYYY-MM-DD' };
+  }
+  if (recurrence.endDate && (!isDateString(recurrence.endDate) || recurrence.endDate < startDate)) {
+    return { error: 'recurrence.endDate must be YYYY-MM-DD and not before startDate' };
+  }
+
+  const exceptDates = [...new Set(recurrence.exceptDates || [])];
+  if (!exceptDates.every(isDateString)) {
+    return { error: 'recurrence.exceptDates must be YYYY-MM-DD dates' };
+  }
+
+  return {
+    recurrence: {
+      frequency: recurrence.frequency,
+      weekdays,
+      startDate,
+      endDate: recurrence.endDate || null,
+      exceptDates
+    }
+  };
+};
+
+// Validate a schedule body. `existing` is passed for partial updates.
+const normalizeSchedule = (body, existing = {}) => {
+  const schedule = { ...existing };
+
+  SCHEDULE_TEMPLATE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) schedule[field] = body[field];
+  });
+  if (body.departureTime !== undefined) schedule.departureTime = body.departureTime;
+  if (body.durationMinutes !== undefined) schedule.durationMinutes = parseInt(body.durationMinutes);
+  if (body.capacity !== undefined) schedule.capacity = parseInt(body.capacity);
+  if (body.recurrence !== undefined) {
+    const { recurrence, error } = normalizeRecurrence(body.recurrence);
+    if (error) return { error };
+    schedule.recurrence = recurrence;
+  }
+
+  for (const field of ['title', 'fromLocation', 'toLocation', 'transportType']) {
+    if (!schedule[field]) return { error: `${field} is required` };
+  }
+  schedule.price = Number(schedule.price);
+  if (!(schedule.price >= 0)) {
+    return { error: 'price must be zero or more' };
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.departureTime || '')) {
+    return { error: 'departureTime must be HH:mm' };
+  }
+  if (schedule.durationMinutes !== undefined && !(schedule.durationMinutes > 0)) {
+    return { error: 'durationMinutes must be at least 1' };
+  }
+  if (!schedule.recurrence) {
+    return { error: 'recurrence is required' };
+  }
+
+  if (body.seatLayout !== undefined) {
+    const { seatLayout, error } = normalizeSeatLayout(body.seatLayout);
+    if (error) return { error };
+    schedule.seatLayout = seatLayout;
+  }
+  if (schedule.seatLayout) {
+    schedule.capacity = schedule.seatLayout.totalSeats;
+  }
+  if (!(schedule.capacity > 0)) {
+    return { error: 'capacity must be at least 1' };
+  }
+
+  if (body.cancellationPolicy !== undefined) {
+    const { cancellationPolicy, error } = normalizeCancellationPolicy(body.cancellationPolicy);
+    if (error) return { error };
+    schedule.cancellationPolicy = cancellationPolicy;
+  }
+
+  return { schedule };
+};
+
+const scheduleRunsOn = (recurrence, date) => {
+  if (date < recurrence.startDate) return false;
+  if (recurrence.endDate && date > recurrence.endDate) return false;
+  if (recurrence.exceptDates.includes(date)) return false;
+  if (recurrence.frequency === 'weekly') {
+    return recurrence.weekdays.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+  }
+  return true;
+};
+
+const getInstanceDeparture = (schedule, date) => new Date(`${date}T${schedule.departureTime}:00${DHAKA_OFFSET}`).toISOString();
+
+// Ticket fields copied from the schedule template onto each dated instance
+const getInstanceFields = (schedule, date) => {
+  const departureDateTime = getInstanceDeparture(schedule, date);
+  const fields = {
+    departureDateTime,
+    vendorEmail: schedule.vendorEmail
+  };
+  if (schedule.durationMinutes) {
+    fields.arrivalDateTime = new Date(new Date(departureDateTime).getTime() + schedule.durationMinutes * 60 * 1000).toISOString();
+  }
+  [...SCHEDULE_TEMPLATE_FIELDS, 'fromLocationId', 'toLocationId'].forEach((field) => {
+    if (schedule[field] !== undefined) fields[field] = schedule[field];
+  });
+  return fields;
+};
+
+// Create any missing ticket instances inside the rolling window. Existing dates are left alone.
+const generateScheduleInstances = async (schedule) => {
+  if (schedule.status !== 'active') return 0;
+
+  const now = new Date().toISOString();
+  let created = 0;
+
+  for (let offset = 0; offset <= SCHEDULE_WINDOW_DAYS; offset++) {
+    const date = getLocalDate(offset);
+    if (!scheduleRunsOn(schedule.recurrence, date)) continue;
+
+    const fields = getInstanceFields(schedule, date);
+    if (fields.departureDateTime <= now) continue;
+
+    const result = await ticketsCollection.updateOne(
+      { scheduleId: schedule._id.toString(), instanceDate: date },
+      {
+        $setOnInsert: {
+          ...fields,
+          ticketQuantity: schedule.capacity,
+          scheduleId: schedule._id.toString(),
+          instanceDate: date,
+          verificationStatus: 'pending',
+          isAdvertised: false,
+          isHidden: false,
+          createdAt: now
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) created++;
+  }
+
+  return created;
+};
+
+// Future instances nobody has booked yet - the only ones a schedule change may touch
+const getUnbookedFutureInstances = async (scheduleId) => {
+  const instances = await ticketsCollection
+    .find({ scheduleId, departureDateTime: { $gt: new Date().toISOString() } })
+    .toArray();
+  const bookedTicketIds = await bookingsCollection.distinct('ticketId', {
+    ticketId: { $in: instances.map(instance => instance._id.toString()) }
+  });
+  return instances.filter(instance => !bookedTicketIds.includes(instance._id.toString()));
+};
+
+// Push a schedule edit onto its unbooked future instances, dropping dates it no longer runs on.
+// Every booking takes stock, so guarding each write on the stock we read leaves alone an instance
+// booked since - it is counted as skipped. Like a vendor edit, approval is only lost on material changes.
+const propagateScheduleChange = async (schedule, actorEmail) => {
+  const instances = await getUnbookedFutureInstances(schedule._id.toString());
+  let updated = 0;
+  let removed = 0;
+  let skipped = 0;
+
+  for (const instance of instances) {
+    const guard = {
+      _id: instance._id,
+      ticketQuantity: instance.ticketQuantity,
+      verificationStatus: instance.verificationStatus
+    };
+
+    if (schedule.status !== 'active' || !scheduleRunsOn(schedule.recurrence, instance.instanceDate)) {
+      const { deletedCount } = await ticketsCollection.deleteOne(guard);
+      if (deletedCount > 0) removed++;
+      else skipped++;
+      continue;
+    }
+
+    const fields = { ...getInstanceFields(schedule, instance.instanceDate), ticketQuantity: schedule.capacity };
+    const after = { ...instance, ...fields };
+    if (Object.keys(diffDocuments(pickTicketFields(instance), pickTicketFields(after))).length === 0) continue;
+    const verificationStatus = getStatusAfterEdit(instance, after);
+    const changed = await runTransaction(async (session) => {
+      const result = await ticketsCollection.updateOne(
+        guard,
+        { $set: { ...fields, verificationStatus, updatedAt: new Date().toISOString() } },
+        { session }
+      );
+      if (result.matchedCount === 0) return false;
+
+      await recordTicketRevision(instance._id, {
+        action: 'edited',
+        actorEmail,
+        before: instance,
+        after: { ...after, verificationStatus },
+        reason: 'Schedule updated'
+      }, session);
+      return true;
+    });
+    if (changed) updated++;
+    else skipped++;
+  }
+
+  const created = await generateScheduleInstances(schedule);
+  return { updated, removed, skipped, created };
+};
+
+// Roll every active schedule's window forward
+const generateAllScheduleInstances = async () => {
+  const schedules = await schedulesCollection.find({ status: 'active' }).toArray();
+  let created = 0;
+  for (const schedule of schedules) {
+    created += await generateScheduleInstances(schedule);
+  }
+  return created;
+};
+
+// ==================== JOURNEY HELPERS ====================
+// Connecting journeys chain tickets where each leg starts where the previous one ends,
+// leaving at least the minimum layover after the previous leg arrives.
+const MAX_JOURNEY_LEGS = 4;
+const DEFAULT_MIN_LAYOVER_MINUTES = 30;
+const DEFAULT_MAX_LAYOVER_MINUTES = 12 * 60;
+// Bounds how far ahead a search loads tickets
+const MAX_LAYOVER_MINUTES = 24 * 60;
+
+const locationKey = (value) => String(value || '').trim().toLowerCase();
+const toTime = (value) => new Date(value).getTime();
+const minutesBetween = (from, to) => Math.round((toTime(to) - toTime(from)) / (60 * 1000));
+
+const toJourneyLeg = (ticket) => ({
+  ticketId: ticket._id.toString(),
+  title: ticket.title,
+  fromLocation: ticket.fromLocation,
+  toLocation: ticket.toLocation,
+  transportType: ticket.transportType,
+  vendorName: ticket.vendorName,
+  price: Number(ticket.price),
+  ticketQuantity: ticket.ticketQuantity,
+  departureDateTime: ticket.departureDateTime,
+  arrivalDateTime: ticket.arrivalDateTime || null,
+  hasSeatMap: Boolean(ticket.seatLayout)
+});
+
+const buildItinerary = (path, quantity) => {
+  const first = path[0];
+  const last = path[path.length - 1];
+  const arrivalDateTime = last.arrivalDateTime || null;
+  return {
+    legs: path.map(toJourneyLeg),
+    transfers: path.length - 1,
+    layoverMinutes: path.slice(1).map((leg, i) => minutesBetween(path[i].arrivalDateTime, leg.departureDateTime)),
+    departureDateTime: first.departureDateTime,
+    arrivalDateTime,
+    durationMinutes: arrivalDateTime ? minutesBetween(first.departureDateTime, arrivalDateTime) : null,
+    totalPrice: path.reduce((sum, leg) => sum + Number(leg.price), 0) * quantity
+  };
+};
+
+// Depth-first walk over the candidate tickets. Locations are never revisited, so no loops.
+const findItineraries = (tickets, { from, to, firstDepartureAfter, firstDepartureBefore, maxLegs, minLayover, maxLayover, quantity }) => {
+  const byOrigin = new Map();
+  tickets.forEach((ticket) => {
+    const key = locationKey(ticket.fromLocation);
+    if (!byOrigin.has(key)) byOrigin.set(key, []);
+    byOrigin.get(key).push(ticket);
+  });
+
+  const destination = locationKey(to);
+  const itineraries = [];
+
+  const extend = (path, visited) => {
+    const last = path[path.length - 1];
+    if (locationKey(last.toLocation) === destination) {
+      itineraries.push(buildItinerary(path, quantity));
+      return;
+    }
+    if (path.length >= maxLegs || !last.arrivalDateTime) return;
+
+    const earliest = toTime(last.arrivalDateTime) + minLayover * 60 * 1000;
+    const latest = toTime(last.arrivalDateTime) + maxLayover * 60 * 1000;
+    for (const next of byOrigin.get(locationKey(last.toLocation)) || []) {
+      const nextKey = locationKey(next.toLocation);
+      const departure = toTime(next.departureDateTime);
+      if (visited.has(nextKey) || departure < earliest || departure > latest) continue;
+      visited.add(nextKey);
+      extend([...path, next], visited);
+      visited.delete(nextKey);
+    }
+  };
+
+  for (const first of byOrigin.get(locationKey(from)) || []) {
+    const departure = toTime(first.departureDateTime);
+    if (departure < firstDepartureAfter || departure >= firstDepartureBefore) continue;
+    extend([first], new Set([locationKey(from), locationKey(first.toLocation)]));
+  }
+
+  return itineraries;
+};
+
+// Make sure the legs a user picked actually connect before booking them together
+const checkJourneyConnections = (tickets) => {
+  for (let i = 1; i < tickets.length; i++) {
+    const previous = tickets[i - 1];
+    const next = tickets[i];
+    if (locationKey(previous.toLocation) !== locationKey(next.fromLocation)) {
+      return `Leg ${i + 1} does not start where leg ${i} ends`;
+    }
+    if (!previous.arrivalDateTime) {
+      return `Leg ${i} has no arrival time, so a connection cannot be guaranteed`;
+    }
+    if (minutesBetween(previous.arrivalDateTime, next.departureDateTime) < DEFAULT_MIN_LAYOVER_MINUTES) {
+      return `Leg ${i + 1} leaves less than ${DEFAULT_MIN_LAYOVER_MINUTES} minutes after leg ${i} arrives`;
+    }
+  }
+  return null;
+};
+
+// ==================== REVIEW HELPERS ====================
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+const getRatingSummary = async (match) => {
+  const [summary] = await reviewsCollection.aggregate([
+    { $match: { ...match, status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]).toArray();
+  return summary
+    ? { average: Math.round(summary.average * 10) / 10, count: summary.count }
+    : { average: 0, count: 0 };
+};
+
+// Keep the denormalised ratings on the ticket and vendor in step with published reviews
+const refreshRatings = async (ticketId, vendorEmail) => {
+  const rating = await getRatingSummary({ ticketId });
+  await ticketsCollection.updateOne({ _id: new ObjectId(ticketId) }, { $set: { rating } });
+
+  const vendorRating = await getRatingSummary({ vendorEmail });
+  await usersCollection.updateOne({ email: vendorEmail }, { $set: { vendorRating } });
+};
+
+// ==================== ANALYTICS HELPERS ====================
+// Reporting runs as aggregation pipelines inside MongoDB. Timestamps are stored as ISO
+// strings, so range filters compare strings and bucketing converts them to dates first.
+const ANALYTICS_GRANULARITIES = ['day', 'week', 'month'];
+const ANALYTICS_TIMEZONE = 'Asia/Dhaka';
+// Longest range per granularity, to keep the number of buckets sensible
+const ANALYTICS_MAX_DAYS = { day: 366, week: 3 * 366, month: 5 * 366 };
+const DEFAULT_ANALYTICS_DAYS = 30;
+
+// Validate ?from=&to=&granularity= into an ISO range
+const parseAnalyticsQuery = (query) => {
+  const granularity = query.granularity || 'day';
+  if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of ${ANALYTICS_GRANULARITIES.join(', ')}` };
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_ANALYTICS_DAYS * DAY_MS);
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return { error: 'from and to must be valid dates with from before to' };
+  }
+  if (to - from > ANALYTICS_MAX_DAYS[granularity] * DAY_MS) {
+    return { error: `A ${granularity} breakdown covers at most ${ANALYTICS_MAX_DAYS[granularity]} days` };
+  }
+
+  return { from: from.toISOString(), to: to.toISOString(), granularity };
+};
+
+const toPercent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Sales per ticket joined with the ticket's route and transport type
+const salesByTicketStages = [
+  { $group: { _id: '$ticketId', revenue: { $sum: '$amount' }, ticketsSold: { $sum: '$bookingQuantity' } } },
+  {
+    $lookup: {
+      from: 'tickets',
+      let: { ticketId: { $convert: { input: '$_id', to: 'objectId', onError: null } } },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$ticketId'] } } },
+        { $project: { fromLocation: 1, toLocation: 1, transportType: 1 } }
+      ],
+      as: 'ticket'
+    }
+  },
+  { $unwind: { path: '$ticket', preserveNullAndEmptyArrays: true } }
+];
+
+// `vendorEmail` scopes everything to one vendor; omit it for platform-wide numbers
+const buildAnalytics = async ({ from, to, granularity, vendorEmail }) => {
+  const scope = vendorEmail ? { vendorEmail } : {};
+
+  const [payments] = await paymentsCollection.aggregate([
+    { $match: { ...scope, paymentDate: { $gte: from, $lt: to } } },
+    {
+      $facet: {
+        timeline: [
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: { $dateFromString: { dateString: '$paymentDate' } },
+                  unit: granularity,
+                  timezone: ANALYTICS_TIMEZONE
+                }
+              },
+              revenue: { $sum: '$amount' },
+              commission: { $sum: { $ifNull: ['$commission', 0] } },
+              ticketsSold: { $sum: '$bookingQuantity' },
+              payments: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              period: { $dateToString: { date: '$_id', format: '%Y-%m-%d', timezone: ANALYTICS_TIMEZONE } },
+              revenue: { $round: ['$revenue', 2] },
+              commission: { $round: ['$commission', 2] },
+              ticketsSold: 1,
+              payments: 1
+            }
+          }
+        ],
+        topRoutes: [
+          ...salesByTicketStages,
+          {
+            $group: {
+              _id: { fromLocation: '$ticket.fromLocation', toLocation: '$ticket.toLocation' },
+              revenue: { $sum: '$revenue' },
+              ticketsSold: { $sum: '$ticketsSold' }
+            }
+          },
+          { $sort: { revenue: -1 } },
+          { $limit: 10 },
+          {
+            $project: {
+              _id: 0,
+              fromLocation: { $ifNull: ['$_id.fromLocation', 'Deleted ticket'] },
+              toLocation: { $ifNull: ['$_id.toLocation', 'Deleted ticket'] },
+              revenue: { $round: ['$revenue', 2] },
+              ticketsSold: 1
+            }
+          }
+        ],
+        transportTypes: [
+          ...salesByTicketStages,
+          {
+            $group: {
+              _id: { $ifNull: ['$ticket.transportType', 'unknown'] },
+              revenue: { $sum: '$revenue' },
+              ticketsSold: { $sum: '$ticketsSold' }
+            }
+          },
+          { $sort: { revenue: -1 } },
+          { $project: { _id: 0, transportType: '$_id', revenue: { $round: ['$revenue', 2] }, ticketsSold: 1 } }
+        ]
+      }
+    }
+  ]).toArray();
+
+  // Funnel follows bookings created in the range through to their current state
+  const [bookings] = await bookingsCollection.aggregate([
+    { $match: { ...scope, createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: null,
+        created: { $sum: 1 },
+        // Bookings accepted before acceptedAt was recorded only have their status to go by
+        accepted: {
+          $sum: {
+            $cond: [{
+              $or: [
+                { $ifNull: ['$acceptedAt', false] },
+                { $ifNull: ['$paidAt', false] },
+                { $in: ['$status', ['accepted', 'paid', 'refund_pending']] }
+              ]
+            }, 1, 0]
+          }
+        },
+        paid: { $sum: { $cond: [{ $ifNull: ['$paidAt', false] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+        expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+        cancelledBeforePayment: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'cancelled'] }, { $not: [{ $ifNull: ['$paidAt', false] }] }] }, 1, 0] }
+        },
+        cancelledAfterPayment: {
+          $sum: { $cond: [{ $and: [{ $in: ['$status', ['cancelled', 'refund_pending']] }, { $ifNull: ['$paidAt', false] }] }, 1, 0] }
+        },
+        refunded: { $sum: { $ifNull: ['$refundAmount', 0] } }
+      }
+    }
+  ]).toArray();
+
+  const funnel = bookings || { created: 0, accepted: 0, paid: 0, rejected: 0, expired: 0, cancelledBeforePayment: 0, cancelledAfterPayment: 0, refunded: 0 };
+
+  return {
+    range: { from, to },
+    granularity,
+    timeline: payments.timeline,
+    topRoutes: payments.topRoutes,
+    transportTypes: payments.transportTypes,
+    funnel: {
+      created: funnel.created,
+      accepted: funnel.accepted,
+      paid: funnel.paid,
+      rejected: funnel.rejected,
+      expired: funnel.expired,
+      acceptanceRate: toPercent(funnel.accepted, funnel.created),
+      paymentRate: toPercent(funnel.paid, funnel.accepted),
+      conversionRate: toPercent(funnel.paid, funnel.created)
+    },
+    cancellations: {
+      beforePayment: funnel.cancelledBeforePayment,
+      afterPayment: funnel.cancelledAfterPayment,
+      rate: toPercent(funnel.cancelledBeforePayment + funnel.cancelledAfterPayment, funnel.created),
+      paidCancellationRate: toPercent(funnel.cancelledAfterPayment, funnel.paid),
+      refundedAmount: roundMoney(funnel.refunded)
+    }
+  };
+};
+
+// ==================== EXPORT HELPERS ====================
+// Exports share the list views' filters and stream rows straight from the cursor, so a
+// year of bookings never has to fit in memory.
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// ?from=&to= on `dateField`, ?status=a,b, ?ticketId= and a route via ?fromLocation=&toLocation=
+const buildListFilter = async (query, { dateField, statusField } = {}) => {
+  const filter = {};
+
+  if (query.from || query.to) {
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) {
+      return { error: 'from and to must be valid dates with from before to' };
+    }
+    filter[dateField] = {};
+    if (from) filter[dateField].$gte = from.toISOString();
+    if (to) filter[dateField].$lte = to.toISOString();
+  }
+
+  if (query.status && statusField) {
+    filter[statusField] = { $in: String(query.status).split(',') };
+  }
+
+  const ticketIds = [];
+  if (query.ticketId) {
+    if (!ObjectId.isValid(query.ticketId)) {
+      return { error: 'ticketId must be a valid id' };
+    }
+    ticketIds.push(String(query.ticketId));
+  }
+
+  // Older bookings and payments carry no route copy, so resolve the route to ticket ids
+  if (query.fromLocation || query.toLocation) {
+    const routeFilter = {};
+    if (query.fromLocation) routeFilter.fromLocation = new RegExp(`^${escapeRegex(query.fromLocation)}$`, 'i');
+    if (query.toLocation) routeFilter.toLocation = new RegExp(`^${escapeRegex(query.toLocation)}$`, 'i');
+    const routeTicketIds = (await ticketsCollection.distinct('_id', routeFilter)).map(id => id.toString());
+    filter.ticketId = { $in: ticketIds.length ? ticketIds.filter(id => routeTicketIds.includes(id)) : routeTicketIds };
+  } else if (ticketIds.length) {
+    filter.ticketId = ticketIds[0];
+  }
+
+  return { filter };
+};
+
+const exportDate = (value) => (value ? formatDateTime(value) : '');
+
+const BOOKING_EXPORT_COLUMNS = [
+  { header: 'Booking ID', value: booking => booking._id.toString() },
+  { header: 'Booked At', value: booking => exportDate(booking.createdAt) },
+  { header: 'Status', value: booking => booking.status },
+  { header: 'Passenger', value: booking => booking.userName },
+  { header: 'Passenger Email', value: booking => booking.userEmail },
+  { header: 'Ticket', value: booking => booking.ticketTitle },
+  { header: 'From', value: booking => booking.fromLocation },
+  { header: 'To', value: booking => booking.toLocation },
+  { header: 'Departure', value: booking => exportDate(booking.departureDateTime) },
+  { header: 'Quantity', value: booking => booking.bookingQuantity },
+  { header: 'Seats', value: booking => (booking.seats || []).join(' ') },
+  { header: 'Coupon', value: booking => booking.couponCode },
+  { header: 'Discount', value: booking => booking.discount || 0 },
+  { header: 'Total Price', value: booking => booking.totalPrice },
+  { header: 'Paid At', value: booking => exportDate(booking.paidAt) },
+  { header: 'Transaction ID', value: booking => booking.transactionId }
+];
+
+const PAYMENT_EXPORT_COLUMNS = [
+  { header: 'Payment ID', value: payment => payment._id.toString() },
+  { header: 'Paid At', value: payment => exportDate(payment.paymentDate) },
+  { header: 'Booking ID', value: payment => payment.bookingId },
+  { header: 'Ticket', value: payment => payment.ticketTitle },
+  { header: 'Customer Email', value: payment => payment.userEmail },
+  { header: 'Vendor Email', value: payment => payment.vendorEmail },
+  { header: 'Quantity', value: payment => payment.bookingQuantity },
+  { header: 'Subtotal', value: payment => payment.subtotal },
+  { header: 'Discount', value: payment => payment.discount || 0 },
+  { header: 'Coupon', value: payment => payment.couponCode },
+  { header: 'Amount', value: payment => payment.amount },
+  { header: 'Commission', value: payment => payment.commission },
+  { header: 'Vendor Share', value: payment => payment.vendorShare },
+  { header: 'Currency', value: payment => payment.currency },
+  { header: 'Method', value: payment => payment.paymentMethod },
+  { header: 'Transaction ID', value: payment => payment.transactionId }
+];
+
+const PASSENGER_EXPORT_COLUMNS = [
+  { header: 'Booking ID', value: booking => booking._id.toString() },
+  { header: 'Booked By', value: booking => booking.userName },
+  { header: 'Passengers', value: booking => (booking.passengers || []).map(passenger => passenger.name).join('; ') },
+  { header: 'Email', value: booking => booking.userEmail },
+  { header: 'Quantity', value: booking => booking.bookingQuantity },
+  { header: 'Seats', value: booking => (booking.seats || []).join(' ') },
+  { header: 'Boarded At', value: booking => exportDate(booking.boardedAt) }
+];
+
+// Quote every cell and defuse values a spreadsheet would run as a formula
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsvLines = async function* (cursor, columns) {
+  // The byte order mark makes Excel read Bangla names as UTF-8
+  yield `\uFEFF${columns.map(column => toCsvCell(column.header)).join(',')}\r\n`;
+  for await (const doc of cursor) {
+    yield `${columns.map(column => toCsvCell(column.value(doc))).join(',')}\r\n`;
+  }
+};
+
+// Resolves when `stream` wants more data, rejects if it is torn down first
+const waitForDrain = (stream) => new Promise((resolve, reject) => {
+  const settle = () => {
+    stream.off('drain', settle);
+    stream.off('close', settle);
+    if (stream.destroyed) {
+      reject(stream.errored || new Error('Export stream closed'));
+    } else {
+      resolve();
+    }
+  };
+  stream.on('drain', settle);
+  stream.on('close', settle);
+});
+
+// Write every document from `cursor` to the response as CSV or XLSX. Rows are only read as
+// fast as the client downloads them, and a client that disconnects makes this reject so the
+// caller can close the cursor.
+const streamExport = async (res, { cursor, columns, format, filename }) => {
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    // The workbook zips into `output`; a full `output` means the client is behind
+    const output = new PassThrough();
+    const delivered = pipeline(output, res);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Export');
+    sheet.columns = columns.map(column => ({ header: column.header, width: 20 }));
+    try {
+      for await (const doc of cursor) {
+        sheet.addRow(columns.map(column => column.value(doc) ?? '')).commit();
+        if (output.writableNeedDrain) {
+          await waitForDrain(output);
+        }
+      }
+      sheet.commit();
+      await workbook.commit();
+    } catch (error) {
+      output.destroy(error);
+    }
+    await delivered;
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  await pipeline(Readable.from(toCsvLines(cursor, columns)), res);
+};
+
+// Validate ?format= before anything is written
+const getExportFormat = (query) => {
+  const format = query.format || 'csv';
+  return EXPORT_FORMATS.includes(format) ? { format } : { error: `format must be one of ${EXPORT_FORMATS.join(', ')}` };
+};
+
+const exportFilename = (kind) => `${kind}-${new Date().toISOString().slice(0, 10)}`;
+
+// ==================== PUBLIC STATS ROUTE ====================
+app.get('/public-stats', async (req, res) => {
+  try {
+    // ✅ Ensure collections are initialized
+    if (!usersCollection || !bookingsCollection || !ticketsCollection) {
+      throw new Error("Database collections not initialized");
+    }
+
+    const totalUsers = await usersCollection.countDocuments();
+    
+    const bookings = await bookingsCollection.find().toArray();
+    const totalTicketsSold = bookings.reduce((sum, booking) => sum + (booking.bookingQuantity || 0), 0);
+    
+    // Routes are counted by catalog place, so spelling variants don't inflate the number
+    const [{ totalRoutes = 0 } = {}] = await ticketsCollection.aggregate([
+      {
+        $group: {
+          _id: {
+            from: { $ifNull: ['$fromLocationId', { $toLower: '$fromLocation' }] },
+            to: { $ifNull: ['$toLocationId', { $toLower: '$toLocation' }] }
+          }
+        }
+      },
+      { $count: 'totalRoutes' }
+    ]).toArray();
+    
+    // Share of verified reviews rating the trip 4 stars or better
+    const totalReviews = await reviewsCollection.countDocuments({ status: 'published' });
+    const happyReviews = await reviewsCollection.countDocuments({ status: 'published', rating: { $gte: 4 } });
+    const satisfactionRate = totalReviews > 0 ? Math.round((happyReviews / totalReviews) * 100) : 98;
+    
+    const totalVendors = await usersCollection.countDocuments({ role: 'vendor' });
+    const totalTickets = await ticketsCollection.countDocuments({ verificationStatus: 'approved' });
+
+    res.send({
+      totalUsers,
+      totalTicketsSold,
+      totalRoutes,
+      satisfactionRate,
+      totalReviews,
+      totalVendors,
+      totalTickets
+    });
+  } catch (error) {
+    console.error("❌ Public Stats Error:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== REQUEST SCHEMAS ====================
+// Every write route declares the body it accepts. Values are coerced to the declared type,
+// and anything not declared - including privileged fields such as role, verificationStatus
+// or vendorEmail - is rejected with a 400 listing each offending field path.
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_MAX_LENGTH = 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Returns the coerced value, or undefined after recording an error
+const checkValue = (rule, value, path, errors) => {
+  const fail = (message) => {
+    errors.push({ path, message });
+    return undefined;
+  };
+
+  if (value === null) {
+    return rule.nullable ? null : fail('must not be null');
+  }
+
+  switch (rule.type) {
+    case 'string':
+    case 'email': {
+      if (typeof value !== 'string' && typeof value !== 'number') return fail('must be a string');
+      let text = rule.trim === false ? String(value) : String(value).trim();
+      if (rule.type === 'email') {
+        text = text.toLowerCase();
+        if (!EMAIL_PATTERN.test(text)) return fail('must be a valid email');
+      }
+      if (rule.required && !text) return fail('is required');
+      if (rule.minLength && text.length < rule.minLength) return fail(`must be at least ${rule.minLength} characters`);
+      const maxLength = rule.maxLength || DEFAULT_MAX_LENGTH;
+      if (text.length > maxLength) return fail(`must be at most ${maxLength} characters`);
+      if (rule.pattern && !rule.pattern.test(text)) return fail(rule.patternMessage || 'has an invalid format');
+      if (rule.enum && !rule.enum.includes(text)) return fail(`must be one of ${rule.enum.join(', ')}`);
+      return text;
+    }
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(number)) return fail('must be a whole number');
+      if (rule.min !== undefined && number < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && number > rule.max) return fail(`must be at most ${rule.max}`);
+      return number;
+    }
+    case 'boolean': {
+      if (value === 'true' || value === 'false') return value === 'true';
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      return value;
+    }
+    case 'date': {
+      if (typeof value !== 'string' || isNaN(new Date(value))) return fail('must be a valid date');
+      return new Date(value).toISOString();
+    }
+    case 'objectId': {
+      if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) return fail('must be a valid id');
+      return value;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (rule.minItems && value.length < rule.minItems) return fail(`must have at least ${rule.minItems} items`);
+      if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+      return value.map((item, i) => checkValue(rule.items, item, `${path}[${i}]`, errors));
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return fail('must be an object');
+      // Objects without declared fields (seat layouts, cancellation policies) are
+      // validated in depth by their own normalize helpers
+      return rule.fields ? checkObject(rule.fields, value, path, errors) : value;
+    }
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+};
+
+const checkObject = (fields, body, path, errors, partial = false) => {
+  const result = {};
+
+  Object.keys(body).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+    }
+  });
+
+  Object.entries(fields).forEach(([key, rule]) => {
+    const value = body[key];
+    // Forms send '' for untouched optional inputs
+    if (value === undefined || (value === '' && rule.type !== 'string')) {
+      if (rule.required && !partial) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+      return;
+    }
+    const coerced = checkValue(rule, value, joinPath(path, key), errors);
+    if (coerced !== undefined) result[key] = coerced;
+  });
+
+  return result;
+};
+
+// `partial` skips required checks for PATCH-style updates
+const validateBody = (fields, { partial = false } = {}) => (req, res, next) => {
+  const body = req.body === undefined ? {} : req.body;
+  const errors = [];
+
+  const value = isPlainObject(body)
+    ? checkObject(fields, body, '', errors, partial)
+    : errors.push({ path: '', message: 'must be a JSON object' });
+
+  if (errors.length > 0) {
+    return res.status(400).send({ message: 'Invalid request body', errors });
+  }
+  req.body = value;
+  next();
+};
+
+const VENDOR_DOCUMENT_TYPES = ['trade_license', 'nid', 'tin', 'route_permit', 'other'];
+// Admin decision -> resulting application status
+const VENDOR_APPLICATION_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_changes: 'changes_requested'
+};
+
+const PASSENGER_GENDERS = ['male', 'female', 'other'];
+const PASSENGER_ID_TYPES = ['nid', 'passport', 'birth_certificate'];
+
+const pickFields = (fields, keys) => Object.fromEntries(keys.map(key => [key, fields[key]]));
+
+const profileFields = {
+  name: { type: 'string', maxLength: 100 },
+  phone: { type: 'string', maxLength: 20 },
+  photo: { type: 'string', maxLength: 2048 },
+  address: { type: 'string', maxLength: 300 }
+};
+
+const ticketFields = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  fromLocation: { type: 'string', required: true, maxLength: 100 },
+  toLocation: { type: 'string', required: true, maxLength: 100 },
+  transportType: { type: 'string', required: true, maxLength: 30 },
+  price: { type: 'number', required: true, min: 0 },
+  ticketQuantity: { type: 'integer', min: 0 },
+  departureDateTime: { type: 'date', required: true },
+  arrivalDateTime: { type: 'date', nullable: true },
+  perks: { type: 'array', maxItems: 30, items: { type: 'string', maxLength: 50 } },
+  image: { type: 'string', maxLength: 2048 },
+  vendorName: { type: 'string', maxLength: 100 },
+  seatLayout: { type: 'object' },
+  cancellationPolicy: { type: 'object' },
+  // Routes that check identity at boarding (flights, border crossings)
+  passengerIdRequired: { type: 'boolean' }
+};
+
+const locationFields = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  nameBn: { type: 'string', required: true, maxLength: 100 },
+  aliases: { type: 'array', maxItems: 50, items: { type: 'string', required: true, maxLength: 100 } },
+  division: { type: 'string', required: true, enum: BD_DIVISIONS },
+  district: { type: 'string', required: true, maxLength: 100 },
+  coordinates: {
+    type: 'object',
+    required: true,
+    fields: {
+      lat: { type: 'number', required: true, min: -90, max: 90 },
+      lng: { type: 'number', required: true, min: -180, max: 180 }
+    }
+  }
+};
+
+const seatsField = { type: 'array', maxItems: 50, items: { type: 'string', required: true, maxLength: 10 } };
+
+const passengersField = {
+  type: 'array',
+  required: true,
+  minItems: 1,
+  maxItems: 50,
+  items: {
+    type: 'object',
+    fields: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      gender: { type: 'string', required: true, enum: PASSENGER_GENDERS },
+      age: { type: 'integer', required: true, min: 0, max: 120 },
+      phone: { ...profileFields.phone, pattern: /^\+?[0-9][0-9 -]{5,18}$/, patternMessage: 'must be a phone number' },
+      identityDocument: {
+        type: 'object',
+        fields: {
+          type: { type: 'string', required: true, enum: PASSENGER_ID_TYPES },
+          number: { type: 'string', required: true, maxLength: 30 }
+        }
+      }
+    }
+  }
+};
+
+const couponFields = {
+  code: { type: 'string', required: true, maxLength: 30 },
+  description: { type: 'string', maxLength: 300 },
+  discountType: { type: 'string', required: true, enum: DISCOUNT_TYPES },
+  discountValue: { type: 'number', required: true },
+  isActive: { type: 'boolean' },
+  maxDiscount: { type: 'number', nullable: true },
+  minAmount: { type: 'number', nullable: true },
+  usageLimit: { type: 'integer', nullable: true },
+  perUserLimit: { type: 'integer', nullable: true },
+  validFrom: { type: 'date', nullable: true },
+  validUntil: { type: 'date', nullable: true },
+  transportTypes: { type: 'array', nullable: true, items: { type: 'string', maxLength: 30 } },
+  routes: {
+    type: 'array',
+    nullable: true,
+    items: {
+      type: 'object',
+      fields: {
+        fromLocation: { type: 'string', required: true, maxLength: 100 },
+        toLocation: { type: 'string', required: true, maxLength: 100 }
+      }
+    }
+  }
+};
+
+const schemas = {
+  register: {
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true, trim: false, minLength: PASSWORD_MIN_LENGTH, maxLength: 128 },
+    name: profileFields.name,
+    photo: profileFields.photo
+  },
+  login: {
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true, trim: false, maxLength: 128 }
+  },
+  firebaseLogin: { idToken: { type: 'string', required: true, maxLength: 4096 } },
+  refreshToken: { refreshToken: { type: 'string', required: true, maxLength: 200 } },
+  logout: { refreshToken: { type: 'string', maxLength: 200 } },
+  createUser: {
+    email: { type: 'email', required: true },
+    name: profileFields.name,
+    photo: profileFields.photo,
+    // Older clients send role: 'user' - any other role has to be granted by an admin
+    role: { type: 'string', enum: ['user'] }
+  },
+  profile: profileFields,
+  photo: { photo: { ...profileFields.photo, required: true } },
+  role: { role: { type: 'string', required: true, enum: ['user', 'vendor', 'admin'] } },
+  createTicket: {
+    ...ticketFields,
+    // Save without sending to admins yet
+    draft: { type: 'boolean' },
+    // Accepted for older clients, but must be the signed-in vendor
+    vendorEmail: { type: 'email' }
+  },
+  updateTicket: ticketFields,
+  // One row of a bulk import, checked row by row rather than by validateBody
+  importTicket: {
+    ...pickFields(ticketFields, IMPORT_TICKET_FIELDS),
+    transportType: { ...ticketFields.transportType, enum: TRANSPORT_TYPES },
+    ticketQuantity: { type: 'integer', required: true, min: 1 }
+  },
+  seatLayout: { seatLayout: { type: 'object', required: true } },
+  cancellationPolicy: { cancellationPolicy: { type: 'object', required: true } },
+  schedule: {
+    ...pickFields(ticketFields, SCHEDULE_TEMPLATE_FIELDS),
+    departureTime: { type: 'string', required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'must be HH:mm' },
+    durationMinutes: { type: 'integer', min: 1 },
+    capacity: { type: 'integer', min: 1 },
+    recurrence: {
+      type: 'object',
+      required: true,
+      fields: {
+        frequency: { type: 'string', required: true, enum: ['daily', 'weekly'] },
+        weekdays: { type: 'array', maxItems: 7, items: { type: 'integer', min: 0, max: 6 } },
+        startDate: { type: 'string', pattern: DATE_PATTERN, patternMessage: 'must be YYYY-MM-DD' },
+        endDate: { type: 'string', nullable: true, pattern: DATE_PATTERN, patternMessage: 'must be YYYY-MM-DD' },
+        exceptDates: {
+          type: 'array',
+          maxItems: 366,
+          items: { type: 'string', pattern: DATE_PATTERN, patternMessage: 'must be YYYY-MM-DD' }
+        }
+      }
+    }
+  },
+  verifyTicket: {
+    verificationStatus: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+    reason: { type: 'string', maxLength: 1000 }
+  },
+  advertiseTicket: { isAdvertised: { type: 'boolean', required: true } },
+  createBooking: {
+    ticketId: { type: 'objectId', required: true },
+    bookingQuantity: { type: 'integer', min: 1, max: 50 },
+    seats: seatsField,
+    couponCode: { type: 'string', nullable: true, maxLength: 30 },
+    waitlistId: { type: 'objectId' },
+    userName: profileFields.name,
+    passengers: passengersField
+  },
+  joinWaitlist: {
+    ticketId: { type: 'objectId', required: true },
+    quantity: { type: 'integer', min: 1, max: 50 },
+    userName: profileFields.name
+  },
+  bookJourney: {
+    legs: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: MAX_JOURNEY_LEGS,
+      items: {
+        type: 'object',
+        fields: {
+          ticketId: { type: 'objectId', required: true },
+          seats: seatsField
+        }
+      }
+    },
+    bookingQuantity: { type: 'integer', min: 1, max: 50 },
+    userName: profileFields.name,
+    // The same people travel every leg
+    passengers: passengersField
+  },
+  paymentIntent: { bookingId: { type: 'objectId', required: true } },
+  paymentSession: {
+    bookingId: { type: 'objectId', required: true },
+    provider: { type: 'string', required: true, enum: Object.keys(paymentProviders) }
+  },
+  payment: {
+    bookingId: { type: 'objectId', required: true },
+    // Stripe's payment intent id, or the provider session id for other providers
+    transactionId: { type: 'string', required: true, maxLength: 200 },
+    provider: { type: 'string', enum: Object.keys(paymentProviders) }
+  },
+  adminCoupon: {
+    ...couponFields,
+    // Set to limit a platform-issued coupon to one vendor's tickets
+    vendorEmail: { type: 'email', nullable: true }
+  },
+  vendorCoupon: couponFields,
+  validateCoupon: {
+    code: { type: 'string', required: true, maxLength: 30 },
+    ticketId: { type: 'objectId', required: true },
+    bookingQuantity: { type: 'integer', min: 1, max: 50 },
+    seats: seatsField
+  },
+  bookingCoupon: { couponCode: { type: 'string', nullable: true, maxLength: 30 } },
+  review: {
+    bookingId: { type: 'objectId', required: true },
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    comment: { type: 'string', maxLength: 2000 }
+  },
+  reviewReply: { reply: { type: 'string', required: true, maxLength: 2000 } },
+  moderateReview: {
+    status: { type: 'string', required: true, enum: REVIEW_STATUSES },
+    reason: { type: 'string', maxLength: 500 }
+  },
+  notificationPreferences: Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map(event => [event, {
+    type: 'object',
+    fields: Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, { type: 'boolean' }]))
+  }])),
+  checkin: { code: { type: 'string', required: true, maxLength: 2000 } },
+  vendorApplication: {
+    companyName: { type: 'string', required: true, maxLength: 200 },
+    tradeLicenseNumber: { type: 'string', required: true, maxLength: 50 },
+    businessAddress: { type: 'string', required: true, maxLength: 300 },
+    contactPerson: { type: 'string', required: true, maxLength: 100 },
+    contactPhone: { type: 'string', required: true, maxLength: 20 },
+    contactEmail: { type: 'email', required: true },
+    website: { type: 'string', maxLength: 300 },
+    transportTypes: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 30 } },
+    documents: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 10,
+      items: {
+        type: 'object',
+        fields: {
+          type: { type: 'string', required: true, enum: VENDOR_DOCUMENT_TYPES },
+          url: { type: 'string', required: true, maxLength: 2048 },
+          name: { type: 'string', maxLength: 200 }
+        }
+      }
+    }
+  },
+  commissionRule: {
+    scope: { type: 'string', required: true, enum: COMMISSION_SCOPES },
+    vendorEmail: { type: 'email' },
+    transportType: { type: 'string', maxLength: 30 },
+    percent: { type: 'number', required: true, min: 0, max: 100 }
+  },
+  ledgerAdjustment: {
+    vendorEmail: { type: 'email', required: true },
+    amount: { type: 'number', required: true, min: -1000000, max: 1000000 },
+    memo: { type: 'string', required: true, maxLength: 500 }
+  },
+  generateSettlements: { periodEnd: { type: 'date' } },
+  settlementPayout: {
+    reference: { type: 'string', required: true, maxLength: 200 },
+    method: { type: 'string', maxLength: 50 },
+    note: { type: 'string', maxLength: 500 }
+  },
+  reviewVendorApplication: {
+    decision: { type: 'string', required: true, enum: Object.keys(VENDOR_APPLICATION_DECISIONS) },
+    comment: { type: 'string', maxLength: 1000 }
+  },
+  createLocation: {
+    id: { type: 'string', required: true, maxLength: 60, pattern: LOCATION_ID_PATTERN, patternMessage: 'must be lowercase words joined by hyphens' },
+    ...locationFields
+  },
+  updateLocation: locationFields
+};
+
+// ==================== AUTH ROUTES ====================
+
+// Register with email and password
+app.post('/auth/register', validateBody(schemas.register), async (req, res) => {
+  try {
+    const { email, name, password, photo } = req.body;
+
+    const existingUser = await usersCollection.findOne({ email });
+    if (existingUser) {
+      return res.status(409).send({ message: 'An account with this email already exists' });
+    }
+
+    await usersCollection.insertOne({
+      email,
+      name: name || email.split('@')[0],
+      photo: photo || '',
+      role: 'user',
+      passwordHash: await bcrypt.hash(password, 12),
+      createdAt: new Date().toISOString()
+    });
+
+    res.status(201).send(await issueTokens(email));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Login with email and password
+app.post('/auth/login', validateBody(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await usersCollection.findOne({ email });
+    const valid = user?.passwordHash && await bcrypt.compare(password, user.passwordHash);
+    if (!valid) {
+      return res.status(401).send({ message: 'Invalid email or password' });
+    }
+
+    await usersCollection.updateOne({ email }, { $set: { lastLoginAt: new Date().toISOString() } });
+    res.send(await issueTokens(email));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Exchange a verified Firebase ID token for our own tokens
+app.post('/auth/firebase', validateBody(schemas.firebaseLogin), firebaseLogin);
+
+// Kept for older clients - now requires { idToken } instead of trusting the posted email
+app.post('/jwt', validateBody(schemas.firebaseLogin), firebaseLogin);
+
+// Rotate refresh token
+app.post('/auth/refresh', validateBody(schemas.refreshToken), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const tokenHash = hashToken(refreshToken);
+    // Mark the token used atomically so two concurrent refreshes can't both succeed
+    const current = await refreshTokensCollection.findOneAndUpdate(
+      { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date().toISOString() } },
+      { includeResultMetadata: false }
+    );
+
+    if (!current) {
+      const known = await refreshTokensCollection.findOne({ tokenHash });
+      if (known?.usedAt && !known.revokedAt) {
+        // A rotated-out token came back - assume it was stolen and kill the whole chain
+        await revokeTokenFamilies({ familyId: known.familyId });
+        console.warn(`⚠️ Refresh token reuse detected for ${known.userEmail}`);
+      }
+      return res.status(401).send({ message: 'Invalid refresh token' });
+    }
+
+    res.send(await issueTokens(current.userEmail, current.familyId));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Logout: revoke this session's refresh tokens and the current access token
+app.post('/auth/logout', verifyToken, validateBody(schemas.logout), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      const stored = await refreshTokensCollection.findOne({ tokenHash: hashToken(refreshToken) });
+      if (stored && stored.userEmail === req.decoded.email) {
+        await revokeTokenFamilies({ familyId: stored.familyId });
+      }
+    }
+    await revokeAccessToken(req.decoded);
+    res.send({ success: true });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Logout everywhere: revoke every refresh token the user holds
+app.post('/auth/logout-all', verifyToken, async (req, res) => {
+  try {
+    const result = await revokeTokenFamilies({ userEmail: req.decoded.email });
+    await revokeAccessToken(req.decoded);
+    res.send({ success: true, revokedSessions: result.modifiedCount });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== USER ROUTES ====================
+
+// Save user to database - only the signed-in user's own profile
+app.post('/users', verifyToken, validateBody(schemas.createUser), async (req, res) => {
+  try {
+    const { email, name, photo } = req.body;
+    if (email !== req.decoded.email) {
+      logDenied(req, 'email:own', email);
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    const query = { email };
+    const existingUser = await usersCollection.findOne(query);
+    
+    if (existingUser) {
+      return res.send({ message: 'User already exists', insertedId: null });
+    }
+    
+    const result = await usersCollection.insertOne({
+      email,
+      name: name || email.split('@')[0],
+      photo: photo || '',
+      role: 'user',
+      createdAt: new Date().toISOString()
+    });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get all users (Admin only)
+app.get('/users', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await usersCollection.find({}, { projection: USER_PRIVATE_FIELDS }).toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get user role
+app.get('/users/role/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    
+    const user = await usersCollection.findOne({ email: email });
+    let role = 'user';
+    if (user?.role) {
+      role = user.role;
+    }
+    res.send({ role });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get user by email with full details
+app.get('/users/details/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    
+    const result = await usersCollection.findOne({ email: email }, { projection: USER_PRIVATE_FIELDS });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update user profile (comprehensive)
+app.patch('/users/update/:email', verifyToken, ownEmailParam, validateBody(schemas.profile), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const { name, phone, photo, address } = req.body;
+    
+    const filter = { email: email };
+    const updateDoc = {
+      $set: {
+        ...(name && { name }),
+        ...(phone && { phone }),
+        ...(photo && { photo }),
+        ...(address && { address }),
+        updatedAt: new Date().toISOString()
+      }
+    };
+    
+    const result = await usersCollection.updateOne(filter, updateDoc);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get single user by email
+app.get('/users/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const result = await usersCollection.findOne({ email: email }, { projection: USER_PRIVATE_FIELDS });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update user photo by email
+app.patch('/users/:email', verifyToken, ownEmailParam, validateBody(schemas.photo), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const { photo } = req.body;
+    
+    const filter = { email: email };
+    const updateDoc = {
+      $set: {
+        photo: photo,
+        photoUpdatedAt: new Date().toISOString()
+      }
+    };
+    
+    const result = await usersCollection.updateOne(filter, updateDoc);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update user profile (PUT)
+app.put('/users/:email', verifyToken, ownEmailParam, validateBody(schemas.profile), async (req, res) => {
+  try {
+    const email = req.params.email;
+    const updateData = req.body;
+    
+    const filter = { email: email };
+    const updateDoc = {
+      $set: {
+        ...updateData,
+        updatedAt: new Date().toISOString()
+      }
+    };
+    
+    const result = await usersCollection.updateOne(filter, updateDoc);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update user role (Admin only)
+app.patch('/users/role/:id', verifyToken, verifyAdmin, validateBody(schemas.role), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { role } = req.body;
+    const filter = { _id: new ObjectId(id) };
+    const user = await usersCollection.findOne(filter);
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    
+    const updateDoc = {
+      $set: { role: role }
+    };
+    const result = await runTransaction(async (session) => {
+      const updated = await usersCollection.updateOne(filter, updateDoc, { session });
+      await recordAudit(req, { action: 'user.role', targetType: 'user', targetId: id, before: user, after: { ...user, role } }, session);
+      return updated;
+    });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Delete user (Admin only)
+app.delete('/users/:id', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    const user = await usersCollection.findOne(filter);
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    
+    const result = await runTransaction(async (session) => {
+      const deleted = await usersCollection.deleteOne(filter, { session });
+      await recordAudit(req, { action: 'user.delete', targetType: 'user', targetId: id, before: user }, session);
+      return deleted;
+    });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Mark vendor as fraud (Admin only)
+app.patch('/users/fraud/:id', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    const user = await usersCollection.findOne(filter);
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    
+    const updateDoc = {
+      $set: { 
+        isFraud: true,
+        fraudMarkedAt: new Date().toISOString()
+      }
+    };
+    const result = await runTransaction(async (session) => {
+      const updated = await usersCollection.updateOne(filter, updateDoc, { session });
+      
+      // Hide all tickets from fraud vendor
+      const hidden = await ticketsCollection.updateMany(
+        { vendorEmail: user.email },
+        { $set: { isHidden: true } },
+        { session }
+      );
+      
+      await recordAudit(req, {
+        action: 'user.fraud',
+        targetType: 'user',
+        targetId: id,
+        before: user,
+        after: { ...user, ...updateDoc.$set },
+        metadata: { hiddenTickets: hidden.modifiedCount }
+      }, session);
+      return updated;
+    });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== VENDOR APPLICATION ROUTES ====================
+// submitted -> approved | rejected | changes_requested, and changes_requested -> submitted
+// when the applicant edits it. Approval is what turns a user into a vendor.
+const OPEN_APPLICATION_STATUSES = ['submitted', 'changes_requested'];
+
+// Apply to become a vendor
+app.post('/vendor-applications', verifyToken, validateBody(schemas.vendorApplication), async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    if (user.role === 'vendor' || user.role === 'admin') {
+      return res.status(400).send({ message: `You already have the ${user.role} role` });
+    }
+    
+    const existing = await vendorApplicationsCollection.findOne({
+      userEmail: user.email,
+      status: { $in: OPEN_APPLICATION_STATUSES }
+    });
+    if (existing) {
+      return res.status(409).send({ message: 'You already have an application in review', applicationId: existing._id });
+    }
+    
+    const now = new Date().toISOString();
+    const application = {
+      ...req.body,
+      userEmail: user.email,
+      userName: user.name || null,
+      status: 'submitted',
+      history: [{ action: 'submitted', by: user.email, comment: null, at: now }],
+      submittedAt: now,
+      updatedAt: now
+    };
+    const result = await vendorApplicationsCollection.insertOne(application);
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get the applicant's own applications, newest first
+app.get('/vendor-applications/user/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const result = await vendorApplicationsCollection
+      .find({ userEmail: email })
+      .sort({ submittedAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update and resubmit an application the admin sent back for changes
+app.patch('/vendor-applications/:id', verifyToken, validateBody(schemas.vendorApplication, { partial: true }), async (req, res) => {
+  try {
+    const filter = { _id: new ObjectId(req.params.id) };
+    const application = await vendorApplicationsCollection.findOne(filter);
+    if (!application) {
+      return res.status(404).send({ message: 'Application not found' });
+    }
+    if (!authorize(req, 'vendorApplication:own', application)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const now = new Date().toISOString();
+    const result = await vendorApplicationsCollection.updateOne(
+      { ...filter, status: 'changes_requested' },
+      {
+        $set: { ...req.body, status: 'submitted', updatedAt: now },
+        $push: { history: { action: 'resubmitted', by: req.decoded.email, comment: null, at: now } }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(400).send({ message: 'Only applications with requested changes can be edited' });
+    }
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get vendor applications (Admin only)
+app.get('/admin/vendor-applications', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = status ? { status } : {};
+    const result = await vendorApplicationsCollection
+      .find(query)
+      .sort({ submittedAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Approve, reject or request changes on an application (Admin only)
+app.patch('/admin/vendor-applications/:id', verifyToken, verifyAdmin, validateBody(schemas.reviewVendorApplication), async (req, res) => {
+  try {
+    const filter = { _id: new ObjectId(req.params.id) };
+    const { decision, comment } = req.body;
+    
+    if (decision !== 'approve' && !comment) {
+      return res.status(400).send({ message: 'A comment is required when rejecting or requesting changes' });
+    }
+    
+    const status = VENDOR_APPLICATION_DECISIONS[decision];
+    const now = new Date().toISOString();
+    
+    // The application decision and the role change succeed or fail together
+    const application = await runTransaction(async (session) => {
+      const updated = await vendorApplicationsCollection.findOneAndUpdate(
+        { ...filter, status: 'submitted' },
+        {
+          $set: { status, reviewedBy: req.decoded.email, reviewedAt: now, updatedAt: now },
+          $push: { history: { action: status, by: req.decoded.email, comment: comment || null, at: now } }
+        },
+        { session, returnDocument: 'after', includeResultMetadata: false }
+      );
+      if (!updated) {
+        throw httpError(400, 'Only submitted applications can be reviewed');
+      }
+      
+      await recordAudit(req, {
+        action: 'vendorApplication.review',
+        targetType: 'vendorApplication',
+        targetId: updated._id,
+        before: { status: 'submitted' },
+        after: { status },
+        metadata: { comment: comment || null }
+      }, session);
+      
+      if (status === 'approved') {
+        const roleChange = {
+          role: 'vendor',
+          companyName: updated.companyName,
+          vendorApplicationId: updated._id.toString(),
+          vendorSince: now
+        };
+        const user = await usersCollection.findOneAndUpdate(
+          { email: updated.userEmail, role: { $nin: ['vendor', 'admin'] } },
+          { $set: roleChange },
+          { session, includeResultMetadata: false }
+        );
+        if (user) {
+          await recordAudit(req, {
+            action: 'user.role',
+            targetType: 'user',
+            targetId: user._id,
+            before: user,
+            after: { ...user, ...roleChange },
+            metadata: { vendorApplicationId: updated._id.toString() }
+          }, session);
+        }
+      }
+      
+      emitAfterCommit(session, 'vendorApplication.reviewed', { application: updated, comment });
+      return updated;
+    });
+    
+    res.send(application);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== TICKET ROUTES ====================
+
+// Add new ticket (Vendor only)
+app.post('/tickets', verifyToken, verifyVendor, validateBody(schemas.createTicket), async (req, res) => {
+  try {
+    const { draft, ...ticket } = req.body;
+    
+    if (ticket.vendorEmail && ticket.vendorEmail !== req.decoded.email) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    ticket.vendorEmail = req.decoded.email;
+    
+    // Check if vendor is fraud
+    const vendor = await usersCollection.findOne({ email: ticket.vendorEmail });
+    if (vendor?.isFraud) {
+      return res.status(403).send({ message: 'Fraud vendors cannot add tickets' });
+    }
+    
+    const { error: locationError } = await resolveRouteLocations(ticket);
+    if (locationError) {
+      return res.status(400).send({ message: locationError });
+    }
+    
+    // Tickets with a seat map sell exactly as many seats as the map has
+    if (ticket.seatLayout) {
+      const { seatLayout, error } = normalizeSeatLayout(ticket.seatLayout);
+      if (error) {
+        return res.status(400).send({ message: error });
+      }
+      ticket.seatLayout = seatLayout;
+      ticket.ticketQuantity = seatLayout.totalSeats;
+    } else {
+      // Stored as a number so the conditional stock decrement can match it
+      ticket.ticketQuantity = ticket.ticketQuantity || 0;
+    }
+    
+    // Arrival is optional, but connecting-journey search needs it to plan transfers
+    if (ticket.arrivalDateTime && new Date(ticket.arrivalDateTime) <= new Date(ticket.departureDateTime)) {
+      return res.status(400).send({ message: 'Arrival time must be after departure time' });
+    }
+    
+    if (ticket.cancellationPolicy) {
+      const { cancellationPolicy, error } = normalizeCancellationPolicy(ticket.cancellationPolicy);
+      if (error) {
+        return res.status(400).send({ message: error });
+      }
+      ticket.cancellationPolicy = cancellationPolicy;
+    }
+    
+    const ticketData = {
+      ...ticket,
+      verificationStatus: draft ? 'draft' : 'pending',
+      isAdvertised: false,
+      isHidden: false,
+      createdAt: new Date().toISOString()
+    };
+    
+    const result = await ticketsCollection.insertOne(ticketData);
+    await recordTicketRevision(result.insertedId, { action: 'created', actorEmail: req.decoded.email, after: ticketData });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+const parseImportBody = [express.json({ limit: IMPORT_BODY_LIMIT }), express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT })];
+
+// Bulk-import tickets from CSV (Content-Type: text/csv) or JSON { tickets: [...] }.
+// ?dryRun=true returns the report without creating anything
+app.post('/tickets/import', verifyToken, verifyVendor, parseImportBody, async (req, res) => {
+  try {
+    const { rows, error } = typeof req.body === 'string' ? csvToImportRows(req.body) : jsonToImportRows(req.body);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).send({ message: `Import at most ${IMPORT_MAX_ROWS} tickets at a time` });
+    }
+
+    const vendor = await usersCollection.findOne({ email: req.decoded.email });
+    if (vendor?.isFraud) {
+      return res.status(403).send({ message: 'Fraud vendors cannot add tickets' });
+    }
+
+    const report = await importTickets({
+      rows,
+      vendorEmail: req.decoded.email,
+      dryRun: req.query.dryRun === 'true'
+    });
+    res.send(report);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get all approved tickets (Public) - WITH FROM/TO FILTER
+app.get('/tickets', async (req, res) => {
+  try {
+    const { search, from, to, transportType, sortPrice, sortRating, page = 1, limit = 9 } = req.query;
+    
+    let query = { 
+      verificationStatus: 'approved',
+      isHidden: { $ne: true }
+    };
+    
+    // From/To filters accept any catalog name or alias ("Coxs Bazar", "কক্সবাজার")
+    if (from && from !== 'all') {
+      Object.assign(query, await getLocationFilter('fromLocation', from));
+    }
+    if (to && to !== 'all') {
+      Object.assign(query, await getLocationFilter('toLocation', to));
+    }
+    
+    // Search by from-to location or title
+    if (search) {
+      const pattern = wordPrefixRegex(String(search).slice(0, MAX_SEARCH_LENGTH));
+      query.$or = [
+        { fromLocation: pattern },
+        { toLocation: pattern },
+        { title: pattern }
+      ];
+      const location = await findLocation(search);
+      if (location) {
+        query.$or.push({ fromLocationId: location._id }, { toLocationId: location._id });
+      }
+    }
+    
+    // Filter by transport type
+    if (transportType && transportType !== 'all') {
+      query.transportType = transportType;
+    }
+    
+    // Sorting
+    let sortOption = { createdAt: -1 };
+    if (sortPrice === 'lowToHigh') {
+      sortOption = { price: 1 };
+    } else if (sortPrice === 'highToLow') {
+      sortOption = { price: -1 };
+    } else if (sortRating === 'highToLow') {
+      sortOption = { 'rating.average': -1, 'rating.count': -1 };
+    } else if (sortRating === 'lowToHigh') {
+      sortOption = { 'rating.average': 1, 'rating.count': -1 };
+    }
+    
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const tickets = await ticketsCollection
+      .find(query)
+      .sort(sortOption)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .toArray();
+    
+    const total = await ticketsCollection.countDocuments(query);
+    
+    console.log(`📍 Filter: from=${from || 'all'}, to=${to || 'all'}, transport=${transportType || 'all'}, found=${total} tickets`);
+    
+    res.send({
+      tickets,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error("❌ Tickets Error:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get advertised tickets (Homepage)
+app.get('/tickets/advertised', async (req, res) => {
+  try {
+    const query = { 
+      isAdvertised: true, 
+      verificationStatus: 'approved',
+      isHidden: { $ne: true }
+    };
+    const result = await ticketsCollection.find(query).limit(6).toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get latest tickets (Homepage)
+app.get('/tickets/latest', async (req, res) => {
+  try {
+    const query = { 
+      verificationStatus: 'approved',
+      isHidden: { $ne: true }
+    };
+    const result = await ticketsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(8)
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get single ticket by ID (Public - for details page)
+app.get('/tickets/public/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const result = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    if (!result) {
+      return res.send(result);
+    }
+    
+    const vendor = await usersCollection.findOne(
+      { email: result.vendorEmail },
+      { projection: { vendorRating: 1 } }
+    );
+    res.send({ ...result, vendorRating: vendor?.vendorRating || null });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get single ticket by ID (Protected)
+app.get('/tickets/:id', verifyToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const result = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get tickets by vendor email
+app.get('/tickets/vendor/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const result = await ticketsCollection.find({ vendorEmail: email }).toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update ticket (Vendor only)
+app.patch('/tickets/:id', verifyToken, verifyVendor, validateBody(schemas.updateTicket, { partial: true }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const updatedTicket = req.body;
+    const filter = { _id: new ObjectId(id) };
+    
+    const existingTicket = await ticketsCollection.findOne(filter);
+    if (!existingTicket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!authorize(req, 'ticket:manage', existingTicket)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    if (updatedTicket.seatLayout) {
+      return res.status(400).send({ message: 'Use PUT /tickets/:id/seat-layout to change the seat map' });
+    }
+    
+    // ticketQuantity is the live count of unsold tickets, so an edit moves it by the difference
+    // rather than overwriting what open reservations have already taken
+    let stockChange = 0;
+    if (updatedTicket.ticketQuantity !== undefined) {
+      if (existingTicket.seatLayout) {
+        return res.status(400).send({ message: 'Seat-mapped tickets sell exactly the seats on their map' });
+      }
+      stockChange = updatedTicket.ticketQuantity - (existingTicket.ticketQuantity || 0);
+      delete updatedTicket.ticketQuantity;
+    }
+    
+    if (updatedTicket.cancellationPolicy) {
+      const { cancellationPolicy, error } = normalizeCancellationPolicy(updatedTicket.cancellationPolicy);
+      if (error) {
+        return res.status(400).send({ message: error });
+      }
+      updatedTicket.cancellationPolicy = cancellationPolicy;
+    }
+    
+    const { error: locationError } = await resolveRouteLocations(updatedTicket);
+    if (locationError) {
+      return res.status(400).send({ message: locationError });
+    }
+    
+    const merged = { ...existingTicket, ...updatedTicket, ticketQuantity: (existingTicket.ticketQuantity || 0) + stockChange };
+    if (merged.fromLocationId && merged.fromLocationId === merged.toLocationId) {
+      return res.status(400).send({ message: 'fromLocation and toLocation must be different places' });
+    }
+    const verificationStatus = getStatusAfterEdit(existingTicket, merged);
+    
+    const updateDoc = {
+      $set: {
+        ...updatedTicket,
+        verificationStatus,
+        updatedAt: new Date().toISOString()
+      }
+    };
+    if (stockChange !== 0) {
+      updateDoc.$inc = { ticketQuantity: stockChange };
+    }
+    // Guard on the status we based the decision on, in case an admin reviewed it meanwhile,
+    // and never take away stock that has been reserved since the vendor loaded the ticket
+    const result = await ticketsCollection.updateOne(
+      {
+        ...filter,
+        verificationStatus: existingTicket.verificationStatus,
+        ...(stockChange < 0 && { ticketQuantity: { $gte: -stockChange } })
+      },
+      updateDoc
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).send({ message: 'Ticket was reviewed or booked while you were editing. Please reload and try again.' });
+    }
+    if (stockChange > 0) {
+      await offerReleasedSeats(id);
+    }
+    
+    await recordTicketRevision(id, {
+      action: 'edited',
+      actorEmail: req.decoded.email,
+      before: existingTicket,
+      after: { ...merged, verificationStatus }
+    });
+    res.send({ ...result, verificationStatus });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Delete ticket (Vendor only)
+app.delete('/tickets/:id', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const existingTicket = await ticketsCollection.findOne(filter);
+    if (!existingTicket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!authorize(req, 'ticket:manage', existingTicket)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (existingTicket.verificationStatus === 'rejected') {
+      return res.status(403).send({ message: 'Cannot delete rejected tickets' });
+    }
+    
+    const result = await runTransaction(async (session) => {
+      const deleted = await ticketsCollection.deleteOne(filter, { session });
+      await recordAudit(req, { action: 'ticket.delete', targetType: 'ticket', targetId: id, before: existingTicket }, session);
+      return deleted;
+    });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Submit a draft for review, or resubmit a rejected ticket after fixing it (Vendor only)
+app.post('/tickets/:id/submit', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const ticket = await ticketsCollection.findOne(filter);
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!authorize(req, 'ticket:manage', ticket)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const verificationStatus = SUBMIT_TRANSITIONS[ticket.verificationStatus];
+    if (!verificationStatus) {
+      return res.status(400).send({ message: `A ${ticket.verificationStatus} ticket cannot be submitted` });
+    }
+    
+    const result = await ticketsCollection.updateOne(
+      { ...filter, verificationStatus: ticket.verificationStatus },
+      { $set: { verificationStatus, submittedAt: new Date().toISOString() } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).send({ message: 'Ticket status changed. Please reload and try again.' });
+    }
+    
+    await recordTicketRevision(id, {
+      action: 'submitted',
+      actorEmail: req.decoded.email,
+      before: ticket,
+      after: { ...ticket, verificationStatus }
+    });
+    res.send({ ...result, verificationStatus });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get a ticket's revision history (Vendor only)
+app.get('/tickets/:id/revisions', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!authorize(req, 'ticket:manage', ticket)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    res.send(await getTicketRevisionReport(ticket));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== SEAT MAP ROUTES ====================
+
+// Get seat availability for a ticket (Public)
+app.get('/tickets/:id/seats', async (req, res) => {
+  try {
+    const id = req.params.id;
+    
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!ticket.seatLayout) {
+      return res.status(400).send({ message: 'This ticket does not have a seat map' });
+    }
+    
+    // A lapsed hold shows as free straight away, before the reservations job gets to it
+    const holds = await seatHoldsCollection
+      .find({ ticketId: id, $or: [{ status: 'booked' }, { expiresAt: { $gt: new Date().toISOString() } }] })
+      .toArray();
+    const statusBySeat = new Map(holds.map(hold => [hold.seatNo, hold.status]));
+    const seatMap = getSeatMap(ticket);
+    
+    const cabins = ticket.seatLayout.cabins.map(cabin => ({
+      ...cabin,
+      rows: cabin.rows.map(row => row.map(seatNo => seatNo && {
+        ...seatMap.get(seatNo),
+        status: statusBySeat.get(seatNo) || 'available'
+      }))
+    }));
+    
+    res.send({
+      ticketId: id,
+      cabins,
+      totalSeats: seatMap.size,
+      availableSeats: seatMap.size - holds.length,
+      holdMinutes: HOLD_MINUTES
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Set or replace the seat layout of a ticket (Vendor only)
+app.put('/tickets/:id/seat-layout', verifyToken, verifyVendor, validateBody(schemas.seatLayout), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const existingTicket = await ticketsCollection.findOne(filter);
+    if (!existingTicket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!authorize(req, 'ticket:manage', existingTicket)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const activeBookings = await bookingsCollection.countDocuments({
+      ticketId: id,
+      status: { $in: [...ACTIVE_BOOKING_STATUSES, 'paid'] }
+    });
+    if (activeBookings > 0) {
+      return res.status(400).send({ message: 'Cannot change the seat map while seats are held or booked' });
+    }
+    
+    const { seatLayout, error } = normalizeSeatLayout(req.body.seatLayout);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    
+    const changes = { seatLayout, ticketQuantity: seatLayout.totalSeats };
+    const verificationStatus = getStatusAfterEdit(existingTicket, { ...existingTicket, ...changes });
+    const updateDoc = {
+      $set: {
+        ...changes,
+        verificationStatus,
+        updatedAt: new Date().toISOString()
+      }
+    };
+    const result = await ticketsCollection.updateOne(filter, updateDoc);
+    await recordTicketRevision(id, {
+      action: 'edited',
+      actorEmail: req.decoded.email,
+      before: existingTicket,
+      after: { ...existingTicket, ...changes, verificationStatus }
+    });
+    res.send({ ...result, verificationStatus });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== SCHEDULE ROUTES ====================
+
+// Create a recurring schedule (Vendor only)
+app.post('/schedules', verifyToken, verifyVendor, validateBody(schemas.schedule), async (req, res) => {
+  try {
+    const vendor = await usersCollection.findOne({ email: req.decoded.email });
+    if (vendor?.isFraud) {
+      return res.status(403).send({ message: 'Fraud vendors cannot add tickets' });
+    }
+    
+    const { schedule, error } = normalizeSchedule(req.body);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const { error: locationError } = await resolveRouteLocations(schedule);
+    if (locationError) {
+      return res.status(400).send({ message: locationError });
+    }
+    
+    const scheduleData = {
+      ...schedule,
+      vendorEmail: req.decoded.email,
+      vendorName: schedule.vendorName || vendor?.name,
+      status: 'active',
+      createdAt: new Date().toISOString()
+    };
+    const result = await schedulesCollection.insertOne(scheduleData);
+    const created = await generateScheduleInstances({ ...scheduleData, _id: result.insertedId });
+    
+    res.send({ ...result, instancesCreated: created });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get schedules by vendor email
+app.get('/schedules/vendor/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const result = await schedulesCollection
+      .find({ vendorEmail: email })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get single schedule with its upcoming instances (Vendor only)
+app.get('/schedules/:id', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const schedule = await schedulesCollection.findOne({ _id: new ObjectId(id) });
+    if (!schedule) {
+      return res.status(404).send({ message: 'Schedule not found' });
+    }
+    if (!authorize(req, 'schedule:manage', schedule)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const instances = await ticketsCollection
+      .find({ scheduleId: id, departureDateTime: { $gt: new Date().toISOString() } })
+      .sort({ departureDateTime: 1 })
+      .toArray();
+    res.send({ ...schedule, instances });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update a schedule and its unbooked future instances (Vendor only)
+app.patch('/schedules/:id', verifyToken, verifyVendor, validateBody(schemas.schedule, { partial: true }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const existingSchedule = await schedulesCollection.findOne(filter);
+    if (!existingSchedule) {
+      return res.status(404).send({ message: 'Schedule not found' });
+    }
+    if (!authorize(req, 'schedule:manage', existingSchedule)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (existingSchedule.status !== 'active') {
+      return res.status(400).send({ message: 'Cannot update a cancelled schedule' });
+    }
+    
+    const { schedule, error } = normalizeSchedule(req.body, existingSchedule);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const { error: locationError } = await resolveRouteLocations(schedule);
+    if (locationError) {
+      return res.status(400).send({ message: locationError });
+    }
+    
+    const { _id, ...changes } = schedule;
+    await schedulesCollection.updateOne(filter, {
+      $set: { ...changes, updatedAt: new Date().toISOString() }
+    });
+    const instances = await propagateScheduleChange(schedule, req.decoded.email);
+    
+    res.send({ acknowledged: true, instances });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Cancel a schedule - unbooked future departures are withdrawn (Vendor only)
+app.delete('/schedules/:id', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const existingSchedule = await schedulesCollection.findOne(filter);
+    if (!existingSchedule) {
+      return res.status(404).send({ message: 'Schedule not found' });
+    }
+    if (!authorize(req, 'schedule:manage', existingSchedule)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const cancelledAt = new Date().toISOString();
+    await schedulesCollection.updateOne(filter, { $set: { status: 'cancelled', cancelledAt } });
+    const instances = await propagateScheduleChange({ ...existingSchedule, status: 'cancelled' }, req.decoded.email);
+    const keptInstances = await ticketsCollection.countDocuments({
+      scheduleId: id,
+      departureDateTime: { $gt: cancelledAt }
+    });
+    
+    res.send({ acknowledged: true, removed: instances.removed, keptWithBookings: keptInstances });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== ADMIN TICKET ROUTES ====================
+
+// Get all tickets for admin
+app.get('/admin/tickets', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    // Drafts stay private to the vendor until submitted
+    const { status } = req.query;
+    const query = status ? { verificationStatus: status } : { verificationStatus: { $ne: 'draft' } };
+    const result = await ticketsCollection.find(query).sort({ createdAt: -1 }).toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get a ticket's revision history and changes since last approval (Admin only)
+app.get('/admin/tickets/:id/revisions', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    res.send(await getTicketRevisionReport(ticket));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Approve or reject a ticket awaiting review (Admin only)
+app.patch('/admin/tickets/:id', verifyToken, verifyAdmin, validateBody(schemas.verifyTicket), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { verificationStatus, reason } = req.body;
+    const filter = { _id: new ObjectId(id) };
+    const ticket = await ticketsCollection.findOne(filter);
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (verificationStatus === 'rejected' && !reason) {
+      return res.status(400).send({ message: 'A reason is required when rejecting a ticket' });
+    }
+    if (!AWAITING_REVIEW_STATUSES.includes(ticket.verificationStatus)) {
+      return res.status(400).send({ message: `A ${ticket.verificationStatus} ticket is not awaiting review` });
+    }
+    
+    const now = new Date().toISOString();
+    const updateDoc = verificationStatus === 'approved'
+      ? {
+        $set: {
+          verificationStatus,
+          verifiedAt: now,
+          verifiedBy: req.decoded.email,
+          // What the next edit is compared against
+          approvedSnapshot: pickTicketFields(ticket, REVIEWED_TICKET_FIELDS)
+        },
+        $unset: { rejectionReason: '' }
+      }
+      : {
+        $set: {
+          verificationStatus,
+          rejectionReason: reason,
+          verifiedAt: now,
+          verifiedBy: req.decoded.email
+        }
+      };
+    const result = await runTransaction(async (session) => {
+      const updated = await ticketsCollection.updateOne(
+        { ...filter, verificationStatus: ticket.verificationStatus },
+        updateDoc,
+        { session }
+      );
+      if (updated.matchedCount === 0) {
+        throw httpError(409, 'Ticket changed while you were reviewing. Please reload and try again.');
+      }
+      
+      await recordTicketRevision(id, {
+        action: verificationStatus,
+        actorEmail: req.decoded.email,
+        before: ticket,
+        after: { ...ticket, verificationStatus },
+        reason: reason || null
+      }, session);
+      await recordAudit(req, {
+        action: 'ticket.verify',
+        targetType: 'ticket',
+        targetId: id,
+        before: ticket,
+        after: { ...ticket, ...updateDoc.$set }
+      }, session);
+      return updated;
+    });
+    res.send(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Delete ticket (Admin only)
+app.delete('/admin/tickets/:id', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    const ticket = await ticketsCollection.findOne(filter);
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    
+    const result = await runTransaction(async (session) => {
+      // Paid passengers have to be cancelled and refunded first - deleting would drop their money
+      const paidBookings = await bookingsCollection.countDocuments(
+        { ticketId: id, status: { $in: ['paid', 'refund_pending'] } },
+        { session }
+      );
+      if (paidBookings > 0) {
+        throw httpError(409, `Ticket has ${paidBookings} paid booking(s). Cancel and refund them before deleting it.`);
+      }
+      
+      // Bookings that were never paid go with it - keep their ids so the audit entry shows what went.
+      // Refunded ones stay as the record behind their ledger entries.
+      const unpaidFilter = { ticketId: id, paidAt: { $exists: false } };
+      const bookingIds = (await bookingsCollection
+        .find(unpaidFilter, { projection: { _id: 1 }, session })
+        .toArray()).map(booking => booking._id.toString());
+      await bookingsCollection.deleteMany(unpaidFilter, { session });
+      const seatHolds = await seatHoldsCollection.deleteMany({ ticketId: id }, { session });
+      
+      const deleted = await ticketsCollection.deleteOne(filter, { session });
+      await recordAudit(req, {
+        action: 'ticket.delete',
+        targetType: 'ticket',
+        targetId: id,
+        before: ticket,
+        metadata: { deletedBookingIds: bookingIds, deletedSeatHolds: seatHolds.deletedCount }
+      }, session);
+      return deleted;
+    });
+    res.send(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Toggle advertise ticket (Admin only)
+app.patch('/admin/tickets/advertise/:id', verifyToken, verifyAdmin, validateBody(schemas.advertiseTicket), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { isAdvertised } = req.body;
+    
+    if (isAdvertised) {
+      const advertisedCount = await ticketsCollection.countDocuments({ isAdvertised: true });
+      if (advertisedCount >= 6) {
+        return res.status(400).send({ message: 'Cannot advertise more than 6 tickets' });
+      }
+    }
+    
+    const filter = { _id: new ObjectId(id) };
+    const ticket = await ticketsCollection.findOne(filter);
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    
+    const updateDoc = {
+      $set: { isAdvertised: isAdvertised }
+    };
+    const result = await runTransaction(async (session) => {
+      const updated = await ticketsCollection.updateOne(filter, updateDoc, { session });
+      await recordAudit(req, {
+        action: 'ticket.advertise',
+        targetType: 'ticket',
+        targetId: id,
+        before: ticket,
+        after: { ...ticket, isAdvertised }
+      }, session);
+      return updated;
+    });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== BOOKING ROUTES ====================
+
+// Create new booking
+app.post('/bookings', verifyToken, validateBody(schemas.createBooking), async (req, res) => {
+  try {
+    const { couponCode, waitlistId, seats, bookingQuantity, userName, passengers } = req.body;
+    
+    // Check ticket availability - only what the catalog lists can be booked
+    const ticket = await ticketsCollection.findOne({ 
+      _id: new ObjectId(req.body.ticketId),
+      ...getBookableTicketFilter()
+    });
+    
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    
+    const booking = {
+      ...getTicketSnapshot(ticket),
+      seats,
+      bookingQuantity,
+      passengers,
+      userEmail: req.decoded.email,
+      userName
+    };
+    
+    // Booking from a waitlist offer uses the stock that was set aside for it
+    let offer;
+    if (waitlistId) {
+      offer = await waitlistCollection.findOne({ _id: new ObjectId(waitlistId) });
+      if (
+        !offer ||
+        offer.userEmail !== req.decoded.email ||
+        offer.ticketId !== booking.ticketId ||
+        offer.status !== 'offered' ||
+        offer.offerExpiresAt <= new Date().toISOString()
+      ) {
+        return res.status(400).send({ message: 'Waitlist offer is no longer valid' });
+      }
+    }
+    
+    const bookingData = prepareBooking(booking, ticket, offer?.reservedQuantity || 0);
+    
+    if (couponCode) {
+      const subtotal = bookingData.totalPrice;
+      const { coupon, discount } = await validateCoupon(couponCode, {
+        ticket,
+        userEmail: bookingData.userEmail,
+        subtotal
+      });
+      Object.assign(bookingData, {
+        couponCode: coupon.code,
+        subtotal,
+        discount,
+        totalPrice: roundMoney(subtotal - discount)
+      });
+    }
+    
+    // Stock, seats and the booking itself go in together or not at all
+    const result = await runTransaction(async (session) => {
+      const insertResult = await insertReservedBooking(bookingData, session, offer);
+      emitAfterCommit(session, 'booking.created', { booking: bookingData });
+      return insertResult;
+    });
+    
+    res.send(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get user's bookings
+app.get('/bookings/user/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    
+    const result = await bookingsCollection
+      .find({ userEmail: email })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get vendor's booking requests (same filters as the export)
+app.get('/bookings/vendor/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    const { filter, error } = await buildListFilter(req.query, { dateField: 'createdAt', statusField: 'status' });
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const result = await bookingsCollection
+      .find({ ...filter, vendorEmail: req.params.email })
+      .sort({ createdAt: -1 })
+      .toArray();
+    // The full numbers are on the manifest of routes that check ID
+    res.send(result.map(booking => ({ ...booking, passengers: maskPassengerIds(booking.passengers) })));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get all bookings (Admin only)
+app.get('/admin/bookings', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { filter, error } = await buildListFilter(req.query, { dateField: 'createdAt', statusField: 'status' });
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const result = await bookingsCollection
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Accept booking (Vendor)
+app.patch('/bookings/accept/:id', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const booking = await bookingsCollection.findOne(filter);
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:respond', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (booking.status === 'expired') {
+      return res.status(400).send({ message: 'This booking has expired' });
+    }
+    
+    // Give the passenger a fresh hold window to complete payment
+    const holdExpiresAt = getHoldExpiry();
     const updateDoc = {
-      $set: { role: role }
+      $set: { 
+        status: 'accepted',
+        acceptedAt: new Date().toISOString(),
+        holdExpiresAt
+      }
     };
-    const result = await usersCollection.updateOne(filter, updateDoc);
+    const result = await bookingsCollection.updateOne({ ...filter, status: 'pending' }, updateDoc);
+    if (result.matchedCount === 0) {
+      return res.status(400).send({ message: 'Can only accept pending bookings' });
+    }
+    
+    await seatHoldsCollection.updateMany(
+      { bookingId: id, status: 'held' },
+      { $set: { expiresAt: holdExpiresAt } }
+    );
+    bookingEvents.emit('booking.accepted', { booking: { ...booking, holdExpiresAt } });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Reject booking (Vendor)
+app.patch('/bookings/reject/:id', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    const updateDoc = {
+      $set: { 
+        status: 'rejected',
+        rejectedAt: new Date().toISOString()
+      }
+    };
+    
+    const result = await runTransaction(async (session) => {
+      const booking = await bookingsCollection.findOne(filter, { session });
+      if (!booking) {
+        throw httpError(404, 'Booking not found');
+      }
+      if (!authorize(req, 'booking:respond', booking)) {
+        throw httpError(403, 'Forbidden access');
+      }
+      
+      const updateResult = await bookingsCollection.updateOne(
+        { ...filter, status: { $in: ACTIVE_BOOKING_STATUSES } },
+        updateDoc,
+        { session }
+      );
+      if (updateResult.matchedCount === 0) {
+        throw httpError(400, 'Can only reject pending or accepted bookings');
+      }
+      
+      await releaseReservation(booking, session);
+      emitAfterCommit(session, 'booking.rejected', { booking });
+      return updateResult;
+    });
+    
+    res.send(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Preview the refund for cancelling a paid booking (User)
+app.get('/bookings/refund-quote/:id', verifyToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:view', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (booking.status !== 'paid') {
+      return res.status(400).send({ message: 'Only paid bookings have a refund' });
+    }
+    
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(booking.ticketId) });
+    const payment = await paymentsCollection.findOne({ transactionId: booking.transactionId });
+    const quote = getRefundQuote(ticket, payment?.amount || 0);
+    if (quote.error) {
+      return res.status(400).send({ message: quote.error });
+    }
+    
+    res.send(quote);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Cancel booking (User) - unpaid bookings are simply released, paid ones are refunded per policy
+app.patch('/bookings/cancel/:id', verifyToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const booking = await bookingsCollection.findOne(filter);
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:own', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    // A refund_pending booking is one whose earlier cancellation didn't finish
+    if (['paid', 'refund_pending'].includes(booking.status)) {
+      const refund = await cancelPaidBooking(booking);
+      return res.send(refund);
+    }
+    
+    const updateDoc = {
+      $set: { 
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString()
+      }
+    };
+    
+    const result = await runTransaction(async (session) => {
+      const updateResult = await bookingsCollection.updateOne(
+        { ...filter, status: 'pending' },
+        updateDoc,
+        { session }
+      );
+      if (updateResult.matchedCount === 0) {
+        throw httpError(400, 'Can only cancel pending or paid bookings');
+      }
+      
+      await releaseReservation(booking, session);
+      emitAfterCommit(session, 'booking.cancelled', { booking });
+      return updateResult;
+    });
+    
+    res.send(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Delete booking (Admin only)
+app.delete('/admin/bookings/:id', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const filter = { _id: new ObjectId(id) };
+    
+    const result = await runTransaction(async (session) => {
+      const booking = await bookingsCollection.findOne(filter, { session });
+      if (booking) {
+        if (['paid', 'refund_pending'].includes(booking.status)) {
+          throw httpError(409, 'Paid bookings have to be cancelled and refunded, not deleted');
+        }
+        await releaseReservation(booking, session);
+        await recordAudit(req, { action: 'booking.delete', targetType: 'booking', targetId: id, before: booking }, session);
+      }
+      return bookingsCollection.deleteOne(filter, { session });
+    });
+    
+    res.send(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== WAITLIST ROUTES ====================
+
+// Join the waitlist of a sold-out ticket (User)
+app.post('/waitlist', verifyToken, validateBody(schemas.joinWaitlist), async (req, res) => {
+  try {
+    const { ticketId, userName } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
+    
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(ticketId) });
+    if (!ticket || ticket.verificationStatus !== 'approved' || ticket.isHidden) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (new Date(ticket.departureDateTime) < new Date()) {
+      return res.status(400).send({ message: 'Cannot join - departure time has passed' });
+    }
+    if (ticket.ticketQuantity >= quantity) {
+      return res.status(400).send({ message: 'Tickets are still available, please book directly' });
+    }
+    
+    const existingEntry = await waitlistCollection.findOne({
+      ticketId,
+      userEmail: req.decoded.email,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existingEntry) {
+      return res.status(400).send({ message: 'You are already on the waitlist for this ticket' });
+    }
+    
+    const result = await waitlistCollection.insertOne({
+      ticketId,
+      ticketTitle: ticket.title,
+      userEmail: req.decoded.email,
+      userName: userName || null,
+      quantity,
+      status: 'waiting',
+      createdAt: new Date().toISOString()
+    });
+    const position = await waitlistCollection.countDocuments({ ticketId, status: 'waiting' });
+    
+    res.send({ ...result, position });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get user's waitlist entries and offers
+app.get('/waitlist/user/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    
+    const result = await waitlistCollection
+      .find({ userEmail: email })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get the waitlist queue of a ticket (Vendor only)
+app.get('/waitlist/ticket/:id', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!authorize(req, 'ticket:manage', ticket)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const result = await waitlistCollection
+      .find({ ticketId: id, status: { $in: ['waiting', 'offered'] } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Leave the waitlist or decline an offer (User)
+app.delete('/waitlist/:id', verifyToken, async (req, res) => {
+  try {
+    const filter = { _id: new ObjectId(req.params.id) };
+    
+    const entry = await waitlistCollection.findOne(filter);
+    if (!entry) {
+      return res.status(404).send({ message: 'Waitlist entry not found' });
+    }
+    if (!authorize(req, 'waitlist:own', entry)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const result = await runTransaction(async (session) => {
+      // Re-read inside the transaction - the entry may have been offered since
+      const current = await waitlistCollection.findOne(filter, { session });
+      const updateResult = await waitlistCollection.updateOne(
+        { ...filter, status: { $in: ['waiting', 'offered'] } },
+        { $set: { status: 'left', leftAt: new Date().toISOString() } },
+        { session }
+      );
+      if (updateResult.modifiedCount > 0 && current.status === 'offered') {
+        await returnOfferedStock(current, current.reservedQuantity, session);
+      }
+      return updateResult;
+    });
+    
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== JOURNEY ROUTES ====================
+
+// Search connecting journeys (Public)
+app.get('/journeys', async (req, res) => {
+  try {
+    const { from, to, date, sort = 'price' } = req.query;
+    const maxLegs = Math.min(parseInt(req.query.maxLegs) || 3, MAX_JOURNEY_LEGS);
+    const minLayover = Math.max(parseInt(req.query.minLayover) || DEFAULT_MIN_LAYOVER_MINUTES, DEFAULT_MIN_LAYOVER_MINUTES);
+    const maxLayover = Math.min(parseInt(req.query.maxLayover) || DEFAULT_MAX_LAYOVER_MINUTES, MAX_LAYOVER_MINUTES);
+    const quantity = Math.min(Math.max(parseInt(req.query.quantity) || 1, 1), 50);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    
+    if (!from || !to || !isDateString(date)) {
+      return res.status(400).send({ message: 'from, to and date (YYYY-MM-DD) are required' });
+    }
+    if (!['price', 'duration'].includes(sort)) {
+      return res.status(400).send({ message: 'sort must be price or duration' });
+    }
+    
+    // First leg leaves on the requested (Bangladesh) day; later legs may run into following days
+    const firstDepartureAfter = Math.max(toTime(`${date}T00:00:00${DHAKA_OFFSET}`), Date.now());
+    const firstDepartureBefore = toTime(`${date}T00:00:00${DHAKA_OFFSET}`) + DAY_MS;
+    const windowEnd = firstDepartureBefore + (maxLegs - 1) * (maxLayover * 60 * 1000 + DAY_MS);
+    
+    const tickets = await ticketsCollection.find({
+      verificationStatus: 'approved',
+      isHidden: { $ne: true },
+      ticketQuantity: { $gte: quantity },
+      departureDateTime: {
+        $gte: addDays(date, -1),
+        $lte: new Date(windowEnd).toISOString()
+      }
+    }).toArray();
+    
+    // Tickets carry canonical names, so search by those when the input is a known place
+    const [fromPlace, toPlace] = await Promise.all([findLocation(from), findLocation(to)]);
+    const itineraries = findItineraries(tickets, {
+      from: fromPlace?.name || from,
+      to: toPlace?.name || to,
+      firstDepartureAfter,
+      firstDepartureBefore,
+      maxLegs,
+      minLayover,
+      maxLayover,
+      quantity
+    });
+    
+    const byDuration = (a, b) => (a.durationMinutes ?? Infinity) - (b.durationMinutes ?? Infinity);
+    const byPrice = (a, b) => a.totalPrice - b.totalPrice;
+    itineraries.sort((a, b) => sort === 'duration'
+      ? byDuration(a, b) || byPrice(a, b)
+      : byPrice(a, b) || byDuration(a, b));
+    
+    res.send({
+      itineraries: itineraries.slice(0, limit),
+      total: itineraries.length
+    });
+  } catch (error) {
+    console.error("❌ Journey Search Error:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Book every leg of a journey together - all legs are reserved or none are.
+// Only the reservation is all-or-nothing: each leg is still paid, and refunded, as its own
+// booking, so the client pays every bookingId before the holds run out. Unpaid journeys can
+// be dropped in one go with PATCH /journeys/:journeyId/cancel.
+app.post('/journeys/book', verifyToken, validateBody(schemas.bookJourney), async (req, res) => {
+  try {
+    const { legs, bookingQuantity, userName, passengers } = req.body;
+    
+    const tickets = [];
+    for (const leg of legs) {
+      const ticket = await ticketsCollection.findOne({ _id: new ObjectId(leg.ticketId), ...getBookableTicketFilter() });
+      if (!ticket) {
+        return res.status(404).send({ message: `Ticket ${leg.ticketId} not found` });
+      }
+      tickets.push(ticket);
+    }
+    
+    const connectionError = checkJourneyConnections(tickets);
+    if (connectionError) {
+      return res.status(400).send({ message: connectionError });
+    }
+    
+    const journeyId = new ObjectId().toString();
+    const bookingsData = legs.map((leg, i) => prepareBooking({
+      ...getTicketSnapshot(tickets[i]),
+      seats: leg.seats,
+      bookingQuantity,
+      passengers,
+      userEmail: req.decoded.email,
+      userName,
+      journeyId,
+      journeyLeg: i + 1,
+      journeyLegs: legs.length
+    }, tickets[i]));
+    
+    await runTransaction(async (session) => {
+      for (const bookingData of bookingsData) {
+        await insertReservedBooking(bookingData, session);
+        emitAfterCommit(session, 'booking.created', { booking: bookingData });
+      }
+    });
+    
+    res.send({
+      journeyId,
+      bookingIds: bookingsData.map(booking => booking._id),
+      totalPrice: bookingsData.reduce((sum, booking) => sum + booking.totalPrice, 0),
+      paymentScope: 'per_leg',
+      holdExpiresAt: bookingsData.map(booking => booking.holdExpiresAt).sort()[0]
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Cancel every leg of an unpaid journey together (User). Journeys with a paid leg are
+// cancelled leg by leg through PATCH /bookings/cancel/:id, which refunds per policy.
+app.patch('/journeys/:journeyId/cancel', verifyToken, async (req, res) => {
+  try {
+    const { journeyId } = req.params;
+    const legs = await bookingsCollection.find({ journeyId }).toArray();
+    if (legs.length === 0) {
+      return res.status(404).send({ message: 'Journey not found' });
+    }
+    if (!legs.every(leg => authorize(req, 'booking:own', leg))) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (legs.some(leg => ['paid', 'refund_pending'].includes(leg.status))) {
+      return res.status(400).send({ message: 'This journey has paid legs - cancel them one by one for a refund' });
+    }
+    
+    // Accepted legs still hold stock until they are paid, so they go along with pending ones
+    const openLegs = legs.filter(leg => ACTIVE_BOOKING_STATUSES.includes(leg.status));
+    const cancelledAt = new Date().toISOString();
+    await runTransaction(async (session) => {
+      for (const leg of openLegs) {
+        const result = await bookingsCollection.updateOne(
+          { _id: leg._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+          { $set: { status: 'cancelled', cancelledAt } },
+          { session }
+        );
+        if (result.modifiedCount === 0) {
+          throw httpError(409, 'Journey changed while cancelling. Please reload and try again.');
+        }
+        await releaseReservation(leg, session);
+        emitAfterCommit(session, 'booking.cancelled', { booking: leg });
+      }
+    });
+    
+    res.send({ journeyId, cancelledBookingIds: openLegs.map(leg => leg._id) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== PAYMENT ROUTES ====================
+
+// Payment providers the client can offer at checkout
+app.get('/payment-providers', (req, res) => {
+  const providers = Object.entries(paymentProviders)
+    .filter(([, provider]) => provider.isEnabled())
+    .map(([id, provider]) => ({ id, label: provider.label, flow: provider.flow, currency: provider.currency }));
+  res.send({ providers, currency: BASE_CURRENCY });
+});
+
+// Start paying for a booking with any enabled provider - the amount comes from the booking
+app.post('/payments/sessions', verifyToken, validateBody(schemas.paymentSession), async (req, res) => {
+  try {
+    const { bookingId, provider } = req.body;
+    
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:own', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    res.send(await createPaymentSession(booking, provider));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Create payment intent (Stripe) - kept for clients that predate payment sessions
+app.post('/create-payment-intent', verifyToken, validateBody(schemas.paymentIntent), async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+    
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:own', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const session = await createPaymentSession(booking, 'stripe');
+    res.send({
+      clientSecret: session.clientSecret,
+      amount: session.amount,
+      currency: session.chargeCurrency
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Confirm payment from the client - verified with the provider before anything is recorded
+app.post('/payments', verifyToken, validateBody(schemas.payment), async (req, res) => {
+  try {
+    const { bookingId, transactionId, provider: providerName = 'stripe' } = req.body;
+    const provider = getPaymentProvider(providerName);
+    
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:own', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const paymentSession = await paymentSessionsCollection.findOne({ provider: providerName, providerSessionId: transactionId });
+    const result = await provider.queryStatus(paymentSession || { providerSessionId: transactionId });
+    if ((paymentSession?.bookingId || result.bookingId) !== bookingId) {
+      return res.status(400).send({ message: 'Payment does not belong to this booking' });
+    }
+    if (result.status !== 'succeeded') {
+      return res.status(400).send({ message: 'Payment has not completed' });
+    }
+    
+    const { payment } = await applyPaymentResult(providerName, result);
+    res.send(payment);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Ask the provider where the booking's latest payment stands, recording it if it went through
+app.get('/payments/status/:bookingId', verifyToken, async (req, res) => {
+  try {
+    const bookingId = req.params.bookingId;
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:view', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const paymentSession = await paymentSessionsCollection.findOne(
+      { bookingId, status: { $ne: 'superseded' } },
+      { sort: { createdAt: -1 } }
+    );
+    if (booking.status === 'paid' || !paymentSession) {
+      return res.send({ bookingStatus: booking.status, paymentStatus: booking.status === 'paid' ? 'succeeded' : 'none' });
+    }
+    
+    const result = await getPaymentProvider(paymentSession.provider).queryStatus(paymentSession);
+    const { status } = await applyPaymentResult(paymentSession.provider, result);
+    res.send({
+      bookingStatus: status === 'succeeded' ? 'paid' : booking.status,
+      paymentStatus: status,
+      provider: paymentSession.provider,
+      sessionId: paymentSession._id.toString()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Browser returns from redirect gateways (bKash, SSLCommerz, mock). The outcome is verified
+// with the provider, then the passenger is sent back to the client app.
+const handlePaymentReturn = async (req, res) => {
+  const providerName = req.params.provider;
+  let bookingId = null;
+  try {
+    const result = await getPaymentProvider(providerName).verifyCallback(req);
+    if (!result) {
+      throw httpError(400, 'Callback carried no payment');
+    }
+    const outcome = await applyPaymentResult(providerName, result);
+    bookingId = outcome.bookingId;
+    if (outcome.status !== 'succeeded') {
+      throw httpError(402, outcome.status === 'pending' ? 'Payment is still being processed' : 'Payment was not completed');
+    }
+    res.redirect(`${CLIENT_URL}/payment/success?bookingId=${bookingId}`);
+  } catch (error) {
+    console.error(`❌ ${providerName} Payment Return Error:`, error.message);
+    const query = new URLSearchParams({ reason: error.status ? error.message : 'Payment could not be verified' });
+    if (bookingId) query.set('bookingId', bookingId);
+    res.redirect(`${CLIENT_URL}/payment/failed?${query}`);
+  }
+};
+app.get('/payments/callback/:provider', handlePaymentReturn);
+app.post('/payments/callback/:provider', express.urlencoded({ extended: false }), handlePaymentReturn);
+
+// Server-to-server payment notifications (SSLCommerz IPN)
+app.post('/payments/ipn/:provider', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const providerName = req.params.provider;
+    const result = await getPaymentProvider(providerName).verifyCallback(req);
+    if (result) {
+      await applyPaymentResult(providerName, result);
+    }
+    res.send({ received: true });
+  } catch (error) {
+    // Business rule failures won't fix themselves on retry - acknowledge them. Money the booking
+    // couldn't take has already been refunded by applyPaymentResult.
+    if (error.status) {
+      console.error(`❌ ${req.params.provider} notification not applied:`, error.message);
+      return res.send({ received: true, applied: false });
+    }
+    console.error("❌ Payment Notification Error:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Checkout page for the mock provider - pick an outcome, no money involved
+app.get('/payments/mock/checkout/:sessionId', async (req, res) => {
+  try {
+    getPaymentProvider('mock');
+    const paymentSession = await paymentSessionsCollection.findOne({ provider: 'mock', providerSessionId: req.params.sessionId });
+    if (!paymentSession) {
+      return res.status(404).send({ message: 'Payment session not found' });
+    }
+    
+    const link = (outcome) => `/payments/callback/mock?${new URLSearchParams({
+      sessionId: paymentSession.providerSessionId,
+      outcome,
+      signature: signMockOutcome(paymentSession.providerSessionId, outcome)
+    })}`;
+    res.type('html').send(`<!doctype html>
+<title>Mock payment</title>
+<h1>Mock payment: ${(paymentSession.chargeAmountMinor / 100).toFixed(2)} ${paymentSession.chargeCurrency.toUpperCase()}</h1>
+<p>Booking ${paymentSession.bookingId}</p>
+<p><a href="${link('success')}">Pay</a> &middot; <a href="${link('failure')}">Fail</a></p>`);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Stripe webhook - the source of truth for completed card payments
+app.post('/webhooks/stripe', async (req, res) => {
+  let result;
+  try {
+    result = await paymentProviders.stripe.verifyCallback(req);
+  } catch (error) {
+    console.error("❌ Stripe Webhook Signature Error:", error.message);
+    return res.status(400).send({ message: 'Invalid signature' });
+  }
+
+  try {
+    if (result) {
+      const { bookingId } = await applyPaymentResult('stripe', result);
+      console.log(`✅ Booking ${bookingId} paid via ${result.transactionId}`);
+    }
+    
+    res.send({ received: true });
+  } catch (error) {
+    // Business rule failures won't fix themselves on retry - acknowledge them. Money the booking
+    // couldn't take has already been refunded by applyPaymentResult.
+    if (error.status) {
+      console.error(`❌ Stripe payment ${result.transactionId} not applied:`, error.message);
+      return res.send({ received: true, applied: false });
+    }
+    console.error("❌ Stripe Webhook Error:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get user's payment history
+app.get('/payments/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    
+    const result = await paymentsCollection
+      .find({ userEmail: email })
+      .sort({ paymentDate: -1 })
+      .toArray();
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Delete user (Admin only)
-app.delete('/users/:id', verifyToken, verifyAdmin, async (req, res) => {
+// Get all payments (Admin only)
+app.get('/admin/payments', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const id = req.params.id;
-    const filter = { _id: new ObjectId(id) };
-    const result = await usersCollection.deleteOne(filter);
+    const { filter, error } = await buildListFilter(req.query, { dateField: 'paymentDate' });
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const result = await paymentsCollection
+      .find(filter)
+      .sort({ paymentDate: -1 })
+      .toArray();
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Mark vendor as fraud (Admin only)
-app.patch('/users/fraud/:id', verifyToken, verifyAdmin, async (req, res) => {
+// ==================== REFUND ROUTES ====================
+
+// Set the cancellation policy of a ticket (Vendor only)
+app.put('/tickets/:id/cancellation-policy', verifyToken, verifyVendor, validateBody(schemas.cancellationPolicy), async (req, res) => {
   try {
     const id = req.params.id;
-    const filter = { _id: new ObjectId(id) };
-    const updateDoc = {
-      $set: { 
-        isFraud: true,
-        fraudMarkedAt: new Date().toISOString()
-      }
-    };
-    const result = await usersCollection.updateOne(filter, updateDoc);
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (!authorize(req, 'ticket:manage', ticket)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
     
-    // Hide all tickets from fraud vendor
-    const user = await usersCollection.findOne(filter);
-    if (user) {
-      await ticketsCollection.updateMany(
-        { vendorEmail: user.email },
-        { $set: { isHidden: true } }
+    const { cancellationPolicy, error } = normalizeCancellationPolicy(req.body.cancellationPolicy);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    
+    const result = await runTransaction(async (session) => {
+      const updated = await ticketsCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { cancellationPolicy, updatedAt: new Date().toISOString() } },
+        { session }
       );
+      await recordTicketRevision(id, {
+        action: 'edited',
+        actorEmail: req.decoded.email,
+        before: ticket,
+        after: { ...ticket, cancellationPolicy }
+      }, session);
+      await recordAudit(req, {
+        action: 'ticket.cancellationPolicy',
+        targetType: 'ticket',
+        targetId: id,
+        before: { cancellationPolicy: ticket.cancellationPolicy || null },
+        after: { cancellationPolicy }
+      }, session);
+      return updated;
+    });
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get user's refund history
+app.get('/refunds/:email', verifyToken, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    
+    const result = await refundsCollection
+      .find({ userEmail: email })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get all refunds (Admin only)
+app.get('/admin/refunds', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await refundsCollection
+      .find()
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== COUPON ROUTES ====================
+
+// Create coupon (Admin only) - platform-wide unless a vendorEmail is given
+app.post('/admin/coupons', verifyToken, verifyAdmin, validateBody(schemas.adminCoupon), async (req, res) => {
+  try {
+    const { coupon, error } = normalizeCoupon(req.body);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const { error: routeError } = await resolveCouponRoutes(coupon);
+    if (routeError) {
+      return res.status(400).send({ message: routeError });
     }
     
+    const couponData = {
+      ...coupon,
+      scope: req.body.vendorEmail ? 'vendor' : 'platform',
+      vendorEmail: req.body.vendorEmail || null,
+      usedCount: 0,
+      createdBy: req.decoded.email,
+      createdAt: new Date().toISOString()
+    };
+    const result = await runTransaction(async (session) => {
+      const inserted = await couponsCollection.insertOne(couponData, { session });
+      await recordAudit(req, { action: 'coupon.create', targetType: 'coupon', targetId: inserted.insertedId, after: couponData }, session);
+      return inserted;
+    });
     res.send(result);
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ message: 'Coupon code already exists' });
+    }
     res.status(500).send({ error: error.message });
   }
 });
 
-// ==================== TICKET ROUTES ====================
+// Get all coupons (Admin only)
+app.get('/admin/coupons', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await couponsCollection.find().sort({ createdAt: -1 }).toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
 
-// Add new ticket (Vendor only)
-app.post('/tickets', verifyToken, verifyVendor, async (req, res) => {
+// Update coupon (Admin only)
+app.patch('/admin/coupons/:id', verifyToken, verifyAdmin, validateBody(schemas.adminCoupon, { partial: true }), async (req, res) => {
   try {
-    const ticket = req.body;
+    const filter = { _id: new ObjectId(req.params.id) };
+    const existingCoupon = await couponsCollection.findOne(filter);
+    if (!existingCoupon) {
+      return res.status(404).send({ message: 'Coupon not found' });
+    }
     
-    // Check if vendor is fraud
-    const vendor = await usersCollection.findOne({ email: ticket.vendorEmail });
-    if (vendor?.isFraud) {
-      return res.status(403).send({ message: 'Fraud vendors cannot add tickets' });
+    const { coupon, error } = normalizeCoupon(req.body, existingCoupon);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const { error: routeError } = await resolveCouponRoutes(coupon);
+    if (routeError) {
+      return res.status(400).send({ message: routeError });
     }
     
-    const ticketData = {
-      ...ticket,
-      verificationStatus: 'pending',
-      isAdvertised: false,
-      isHidden: false,
+    const { _id, usedCount, ...changes } = coupon;
+    const result = await runTransaction(async (session) => {
+      const updated = await couponsCollection.updateOne(filter, {
+        $set: { ...changes, updatedAt: new Date().toISOString() }
+      }, { session });
+      await recordAudit(req, {
+        action: 'coupon.update',
+        targetType: 'coupon',
+        targetId: existingCoupon._id,
+        before: existingCoupon,
+        after: { ...existingCoupon, ...changes }
+      }, session);
+      return updated;
+    });
+    res.send(result);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ message: 'Coupon code already exists' });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get coupon redemptions for reporting (Admin only)
+app.get('/admin/coupon-redemptions', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { code } = req.query;
+    const query = code ? { code: normalizeCouponCode(code) } : {};
+    const result = await couponRedemptionsCollection
+      .find(query)
+      .sort({ redeemedAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Create coupon for own tickets (Vendor only)
+app.post('/vendor/coupons', verifyToken, verifyVendor, validateBody(schemas.vendorCoupon), async (req, res) => {
+  try {
+    const { coupon, error } = normalizeCoupon(req.body);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const { error: routeError } = await resolveCouponRoutes(coupon);
+    if (routeError) {
+      return res.status(400).send({ message: routeError });
+    }
+    
+    const couponData = {
+      ...coupon,
+      scope: 'vendor',
+      vendorEmail: req.decoded.email,
+      usedCount: 0,
+      createdBy: req.decoded.email,
       createdAt: new Date().toISOString()
     };
+    const result = await runTransaction(async (session) => {
+      const inserted = await couponsCollection.insertOne(couponData, { session });
+      await recordAudit(req, { action: 'coupon.create', targetType: 'coupon', targetId: inserted.insertedId, after: couponData }, session);
+      return inserted;
+    });
+    res.send(result);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ message: 'Coupon code already exists' });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get coupons by vendor email
+app.get('/coupons/vendor/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const result = await couponsCollection
+      .find({ scope: 'vendor', vendorEmail: email })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Update own coupon (Vendor only)
+app.patch('/vendor/coupons/:id', verifyToken, verifyVendor, validateBody(schemas.vendorCoupon, { partial: true }), async (req, res) => {
+  try {
+    const filter = { _id: new ObjectId(req.params.id) };
+    const existingCoupon = await couponsCollection.findOne(filter);
+    if (!existingCoupon) {
+      return res.status(404).send({ message: 'Coupon not found' });
+    }
+    if (!authorize(req, 'coupon:manage', existingCoupon)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const { coupon, error } = normalizeCoupon(req.body, existingCoupon);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const { error: routeError } = await resolveCouponRoutes(coupon);
+    if (routeError) {
+      return res.status(400).send({ message: routeError });
+    }
+    
+    const { _id, usedCount, ...changes } = coupon;
+    const result = await runTransaction(async (session) => {
+      const updated = await couponsCollection.updateOne(filter, {
+        $set: { ...changes, updatedAt: new Date().toISOString() }
+      }, { session });
+      await recordAudit(req, {
+        action: 'coupon.update',
+        targetType: 'coupon',
+        targetId: existingCoupon._id,
+        before: existingCoupon,
+        after: { ...existingCoupon, ...changes }
+      }, session);
+      return updated;
+    });
+    res.send(result);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ message: 'Coupon code already exists' });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Get redemptions of a vendor's coupons
+app.get('/vendor/coupon-redemptions/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const result = await couponRedemptionsCollection
+      .find({ scope: 'vendor', vendorEmail: email })
+      .sort({ redeemedAt: -1 })
+      .toArray();
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Check a coupon against a ticket before booking (User)
+app.post('/coupons/validate', verifyToken, validateBody(schemas.validateCoupon), async (req, res) => {
+  try {
+    const { code, ticketId, bookingQuantity, seats } = req.body;
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(ticketId) });
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    
+    const preview = { ticketId, bookingQuantity: parseInt(bookingQuantity) || 1 };
+    if (ticket.seatLayout && Array.isArray(seats)) {
+      const seatMap = getSeatMap(ticket);
+      preview.seatDetails = seats.map(seatNo => seatMap.get(String(seatNo).trim().toUpperCase())).filter(Boolean);
+    }
+    const subtotal = calculateBookingPrice(ticket, preview);
+    const { coupon, discount } = await validateCoupon(code, { ticket, userEmail: req.decoded.email, subtotal });
+    
+    res.send({
+      code: coupon.code,
+      description: coupon.description,
+      subtotal,
+      discount,
+      totalPrice: roundMoney(subtotal - discount)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Apply or remove a coupon on an unpaid booking (User)
+app.patch('/bookings/coupon/:id', verifyToken, validateBody(schemas.bookingCoupon), async (req, res) => {
+  try {
+    const filter = { _id: new ObjectId(req.params.id) };
+    const booking = await bookingsCollection.findOne(filter);
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:own', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(400).send({ message: 'Coupons can only be changed on unpaid bookings' });
+    }
+    
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(booking.ticketId) });
+    const subtotal = getBookingSubtotal(ticket, booking);
+    
+    if (!req.body.couponCode) {
+      const result = await bookingsCollection.updateOne(filter, {
+        $set: { subtotal, totalPrice: subtotal },
+        $unset: { couponCode: '', discount: '' }
+      });
+      return res.send(result);
+    }
     
-    const result = await ticketsCollection.insertOne(ticketData);
+    const { coupon, discount } = await validateCoupon(req.body.couponCode, {
+      ticket,
+      userEmail: booking.userEmail,
+      subtotal
+    });
+    const result = await bookingsCollection.updateOne(filter, {
+      $set: {
+        couponCode: coupon.code,
+        subtotal,
+        discount,
+        totalPrice: roundMoney(subtotal - discount)
+      }
+    });
     res.send(result);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get all approved tickets (Public) - WITH FROM/TO FILTER
-app.get('/tickets', async (req, res) => {
+// ==================== REVIEW ROUTES ====================
+
+// Review a completed trip - only passengers with a paid booking after departure (User)
+app.post('/reviews', verifyToken, validateBody(schemas.review), async (req, res) => {
   try {
-    const { search, from, to, transportType, sortPrice, page = 1, limit = 9 } = req.query;
-    
-    let query = { 
-      verificationStatus: 'approved',
-      isHidden: { $ne: true }
-    };
+    const { bookingId, comment } = req.body;
+    const rating = parseInt(req.body.rating);
     
-    // From Location Filter (case-insensitive)
-    if (from && from !== 'all') {
-      query.fromLocation = { $regex: from, $options: 'i' };
+    if (!(rating >= 1 && rating <= 5)) {
+      return res.status(400).send({ message: 'Rating must be between 1 and 5' });
     }
     
-    // To Location Filter (case-insensitive)
-    if (to && to !== 'all') {
-      query.toLocation = { $regex: to, $options: 'i' };
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(bookingId) });
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
     }
-    
-    // Search by from-to location or title
-    if (search) {
-      query.$or = [
-        { fromLocation: { $regex: search, $options: 'i' } },
-        { toLocation: { $regex: search, $options: 'i' } },
-        { title: { $regex: search, $options: 'i' } }
-      ];
+    if (!authorize(req, 'booking:own', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
     }
-    
-    // Filter by transport type
-    if (transportType && transportType !== 'all') {
-      query.transportType = transportType;
+    if (booking.status !== 'paid') {
+      return res.status(400).send({ message: 'Only paid bookings can be reviewed' });
     }
     
-    // Sorting
-    let sortOption = { createdAt: -1 };
-    if (sortPrice === 'lowToHigh') {
-      sortOption = { price: 1 };
-    } else if (sortPrice === 'highToLow') {
-      sortOption = { price: -1 };
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(booking.ticketId) });
+    if (!ticket) {
+      return res.status(404).send({ message: 'Ticket not found' });
+    }
+    if (new Date(ticket.departureDateTime) > new Date()) {
+      return res.status(400).send({ message: 'You can review this trip after it departs' });
     }
     
-    // Pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const tickets = await ticketsCollection
-      .find(query)
-      .sort(sortOption)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
-    
-    const total = await ticketsCollection.countDocuments(query);
-    
-    console.log(`📍 Filter: from=${from || 'all'}, to=${to || 'all'}, transport=${transportType || 'all'}, found=${total} tickets`);
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    const reviewData = {
+      ticketId: booking.ticketId,
+      bookingId,
+      userEmail: req.decoded.email,
+      userName: user?.name || booking.userName || null,
+      userPhoto: user?.photo || null,
+      vendorEmail: ticket.vendorEmail,
+      rating,
+      comment: String(comment || '').trim().slice(0, 2000),
+      status: 'published',
+      createdAt: new Date().toISOString()
+    };
+    const result = await reviewsCollection.insertOne(reviewData);
+    await refreshRatings(booking.ticketId, ticket.vendorEmail);
     
-    res.send({
-      tickets,
-      totalPages: Math.ceil(total / parseInt(limit)),
-      currentPage: parseInt(page),
-      total
-    });
+    res.send(result);
   } catch (error) {
-    console.error("❌ Tickets Error:", error.message);
+    if (error.code === 11000) {
+      return res.status(400).send({ message: 'You have already reviewed this trip' });
+    }
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get advertised tickets (Homepage)
-app.get('/tickets/advertised', async (req, res) => {
+// Get published reviews of a ticket (Public)
+app.get('/reviews/ticket/:id', async (req, res) => {
   try {
-    const query = { 
-      isAdvertised: true, 
-      verificationStatus: 'approved',
-      isHidden: { $ne: true }
-    };
-    const result = await ticketsCollection.find(query).limit(6).toArray();
-    res.send(result);
+    const id = req.params.id;
+    const reviews = await reviewsCollection
+      .find({ ticketId: id, status: 'published' })
+      .sort({ createdAt: -1 })
+      .toArray();
+    const rating = await getRatingSummary({ ticketId: id });
+    res.send({ rating, reviews });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get latest tickets (Homepage)
-app.get('/tickets/latest', async (req, res) => {
+// Get published reviews of a vendor (Public)
+app.get('/reviews/vendor/:email', async (req, res) => {
   try {
-    const query = { 
-      verificationStatus: 'approved',
-      isHidden: { $ne: true }
-    };
-    const result = await ticketsCollection
-      .find(query)
+    const email = req.params.email;
+    const reviews = await reviewsCollection
+      .find({ vendorEmail: email, status: 'published' })
       .sort({ createdAt: -1 })
-      .limit(8)
       .toArray();
-    res.send(result);
+    const rating = await getRatingSummary({ vendorEmail: email });
+    res.send({ rating, reviews });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get single ticket by ID (Public - for details page)
-app.get('/tickets/public/:id', async (req, res) => {
+// Get user's own reviews
+app.get('/reviews/user/:email', verifyToken, ownEmailParam, async (req, res) => {
   try {
-    const id = req.params.id;
-    const result = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    const email = req.params.email;
+    
+    const result = await reviewsCollection
+      .find({ userEmail: email })
+      .sort({ createdAt: -1 })
+      .toArray();
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get single ticket by ID (Protected)
-app.get('/tickets/:id', verifyToken, async (req, res) => {
+// Reply to a review of own trip (Vendor only)
+app.patch('/reviews/reply/:id', verifyToken, verifyVendor, validateBody(schemas.reviewReply), async (req, res) => {
   try {
-    const id = req.params.id;
-    const result = await ticketsCollection.findOne({ _id: new ObjectId(id) });
+    const filter = { _id: new ObjectId(req.params.id) };
+    const text = String(req.body.reply || '').trim();
+    
+    const review = await reviewsCollection.findOne(filter);
+    if (!review) {
+      return res.status(404).send({ message: 'Review not found' });
+    }
+    if (!authorize(req, 'review:reply', review)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (!text) {
+      return res.status(400).send({ message: 'Reply cannot be empty' });
+    }
+    
+    const result = await reviewsCollection.updateOne(filter, {
+      $set: { vendorReply: { text: text.slice(0, 2000), repliedAt: new Date().toISOString() } }
+    });
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get tickets by vendor email
-app.get('/tickets/vendor/:email', verifyToken, verifyVendor, async (req, res) => {
+// Get all reviews for moderation (Admin only)
+app.get('/admin/reviews', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const email = req.params.email;
-    const result = await ticketsCollection.find({ vendorEmail: email }).toArray();
+    const { status } = req.query;
+    const query = REVIEW_STATUSES.includes(status) ? { status } : {};
+    const result = await reviewsCollection.find(query).sort({ createdAt: -1 }).toArray();
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Update ticket (Vendor only)
-app.patch('/tickets/:id', verifyToken, verifyVendor, async (req, res) => {
+// Hide or re-publish a review (Admin only)
+app.patch('/admin/reviews/:id', verifyToken, verifyAdmin, validateBody(schemas.moderateReview), async (req, res) => {
   try {
-    const id = req.params.id;
-    const updatedTicket = req.body;
-    const filter = { _id: new ObjectId(id) };
+    const filter = { _id: new ObjectId(req.params.id) };
+    const { status, reason } = req.body;
     
-    const existingTicket = await ticketsCollection.findOne(filter);
-    if (existingTicket?.verificationStatus === 'rejected') {
-      return res.status(403).send({ message: 'Cannot update rejected tickets' });
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).send({ message: `status must be one of ${REVIEW_STATUSES.join(', ')}` });
     }
     
-    const updateDoc = {
-      $set: {
-        ...updatedTicket,
-        updatedAt: new Date().toISOString()
-      }
-    };
-    const result = await ticketsCollection.updateOne(filter, updateDoc);
+    const review = await reviewsCollection.findOne(filter);
+    if (!review) {
+      return res.status(404).send({ message: 'Review not found' });
+    }
+    
+    const result = await runTransaction(async (session) => {
+      const updated = await reviewsCollection.updateOne(filter, {
+        $set: {
+          status,
+          moderation: { by: req.decoded.email, reason: reason || null, at: new Date().toISOString() }
+        }
+      }, { session });
+      await recordAudit(req, {
+        action: 'review.moderate',
+        targetType: 'review',
+        targetId: review._id,
+        before: { status: review.status },
+        after: { status },
+        metadata: { reason: reason || null, ticketId: review.ticketId }
+      }, session);
+      return updated;
+    });
+    await refreshRatings(review.ticketId, review.vendorEmail);
+    
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Delete ticket (Vendor only)
-app.delete('/tickets/:id', verifyToken, verifyVendor, async (req, res) => {
+// ==================== NOTIFICATION ROUTES ====================
+
+// Get user's notifications
+app.get('/notifications/:email', verifyToken, ownEmailParam, async (req, res) => {
   try {
-    const id = req.params.id;
-    const filter = { _id: new ObjectId(id) };
+    const email = req.params.email;
+    const { unread, page = 1, limit = 20 } = req.query;
     
-    const existingTicket = await ticketsCollection.findOne(filter);
-    if (existingTicket?.verificationStatus === 'rejected') {
-      return res.status(403).send({ message: 'Cannot delete rejected tickets' });
+    const query = { userEmail: email };
+    if (unread === 'true') {
+      query.isRead = false;
     }
     
-    const result = await ticketsCollection.deleteOne(filter);
-    res.send(result);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const notifications = await notificationsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .toArray();
+    const unreadCount = await notificationsCollection.countDocuments({ userEmail: email, isRead: false });
+    
+    res.send({ notifications, unreadCount });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// ==================== ADMIN TICKET ROUTES ====================
-
-// Get all tickets for admin
-app.get('/admin/tickets', verifyToken, verifyAdmin, async (req, res) => {
+// Mark one notification as read
+app.patch('/notifications/read/:id', verifyToken, async (req, res) => {
   try {
-    const result = await ticketsCollection.find().sort({ createdAt: -1 }).toArray();
+    const filter = { _id: new ObjectId(req.params.id) };
+    const notification = await notificationsCollection.findOne(filter);
+    if (!notification) {
+      return res.status(404).send({ message: 'Notification not found' });
+    }
+    if (!authorize(req, 'notification:own', notification)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    
+    const result = await notificationsCollection.updateOne(
+      filter,
+      { $set: { isRead: true, readAt: new Date().toISOString() } }
+    );
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Update ticket verification status (Admin only)
-app.patch('/admin/tickets/:id', verifyToken, verifyAdmin, async (req, res) => {
+// Mark all notifications as read
+app.patch('/notifications/read-all/:email', verifyToken, ownEmailParam, async (req, res) => {
   try {
-    const id = req.params.id;
-    const { verificationStatus } = req.body;
-    const filter = { _id: new ObjectId(id) };
-    const updateDoc = {
-      $set: { 
-        verificationStatus: verificationStatus,
-        verifiedAt: new Date().toISOString()
-      }
-    };
-    const result = await ticketsCollection.updateOne(filter, updateDoc);
+    const email = req.params.email;
+    
+    const result = await notificationsCollection.updateMany(
+      { userEmail: email, isRead: false },
+      { $set: { isRead: true, readAt: new Date().toISOString() } }
+    );
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Delete ticket (Admin only)
-app.delete('/admin/tickets/:id', verifyToken, verifyAdmin, async (req, res) => {
+// Get per-event notification preferences
+app.get('/notifications/preferences/:email', verifyToken, ownEmailParam, async (req, res) => {
   try {
-    const id = req.params.id;
-    const filter = { _id: new ObjectId(id) };
-    
-    // Also delete related bookings
-    await bookingsCollection.deleteMany({ ticketId: id });
+    const email = req.params.email;
     
-    const result = await ticketsCollection.deleteOne(filter);
-    res.send(result);
+    const user = await usersCollection.findOne({ email });
+    res.send(getNotificationPreferences(user));
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Toggle advertise ticket (Admin only)
-app.patch('/admin/tickets/advertise/:id', verifyToken, verifyAdmin, async (req, res) => {
+// Update per-event notification preferences, e.g. { "booking.paid": { "sms": true } }
+app.put('/notifications/preferences/:email', verifyToken, ownEmailParam, validateBody(schemas.notificationPreferences), async (req, res) => {
   try {
-    const id = req.params.id;
-    const { isAdvertised } = req.body;
+    const email = req.params.email;
     
-    if (isAdvertised) {
-      const advertisedCount = await ticketsCollection.countDocuments({ isAdvertised: true });
-      if (advertisedCount >= 6) {
-        return res.status(400).send({ message: 'Cannot advertise more than 6 tickets' });
+    const updates = {};
+    for (const [event, channels] of Object.entries(req.body)) {
+      for (const [channel, enabled] of Object.entries(channels)) {
+        updates[`notificationPreferences.${event}.${channel}`] = enabled;
       }
     }
     
-    const filter = { _id: new ObjectId(id) };
-    const updateDoc = {
-      $set: { isAdvertised: isAdvertised }
-    };
-    const result = await ticketsCollection.updateOne(filter, updateDoc);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).send({ message: 'No preferences to update' });
+    }
+    
+    const result = await usersCollection.updateOne({ email }, { $set: updates });
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// ==================== BOOKING ROUTES ====================
+// ==================== E-TICKET & CHECK-IN ROUTES ====================
 
-// Create new booking
-app.post('/bookings', verifyToken, async (req, res) => {
+// Download e-ticket PDF for a paid booking (User)
+app.get('/bookings/e-ticket/:id', verifyToken, async (req, res) => {
   try {
-    const booking = req.body;
+    const id = req.params.id;
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
     
-    // Check ticket availability
-    const ticket = await ticketsCollection.findOne({ 
-      _id: new ObjectId(booking.ticketId) 
-    });
+    if (!booking) {
+      return res.status(404).send({ message: 'Booking not found' });
+    }
+    if (!authorize(req, 'booking:own', booking)) {
+      return res.status(403).send({ message: 'Forbidden access' });
+    }
+    if (booking.status !== 'paid') {
+      return res.status(400).send({ message: 'E-tickets are only issued for paid bookings' });
+    }
     
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(booking.ticketId) });
     if (!ticket) {
       return res.status(404).send({ message: 'Ticket not found' });
     }
+    const user = await usersCollection.findOne({ email: booking.userEmail });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="ticketbari-${id}.pdf"`);
+    await writeETicketPdf(res, {
+      booking,
+      ticket,
+      passengerName: booking.userName || user?.name || booking.userEmail
+    });
+  } catch (error) {
+    console.error("❌ E-Ticket Error:", error.message);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Scan a passenger's QR code at boarding (Vendor only)
+app.post('/checkin/scan', verifyToken, verifyVendor, validateBody(schemas.checkin), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const payload = code && verifyTicketCode(code);
+    
+    if (!payload) {
+      console.log(`⚠️ Forged or unreadable ticket scanned by ${req.decoded.email}`);
+      return res.status(400).send({ message: 'Invalid ticket code' });
+    }
     
-    if (ticket.ticketQuantity < booking.bookingQuantity) {
-      return res.status(400).send({ message: 'Not enough tickets available' });
+    const filter = { _id: new ObjectId(payload.bid) };
+    const booking = await bookingsCollection.findOne(filter);
+    if (!booking || booking.transactionId !== payload.txn) {
+      return res.status(400).send({ message: 'Invalid ticket code' });
     }
     
-    // Check if departure time has passed
-    const departureTime = new Date(ticket.departureDateTime);
-    if (departureTime < new Date()) {
-      return res.status(400).send({ message: 'Cannot book - departure time has passed' });
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(booking.ticketId) });
+    if (!ticket || !authorize(req, 'ticket:manage', ticket)) {
+      return res.status(403).send({ message: 'This ticket belongs to another operator' });
+    }
+    if (booking.status !== 'paid') {
+      return res.status(400).send({ message: `Booking is ${booking.status}, not valid for boarding` });
     }
     
-    const bookingData = {
-      ...booking,
-      status: 'pending',
-      createdAt: new Date().toISOString()
-    };
+    // Only the first scan wins - repeats are reported as duplicates
+    const boardedAt = new Date().toISOString();
+    const result = await bookingsCollection.updateOne(
+      { ...filter, status: 'paid', boardedAt: { $exists: false } },
+      { $set: { boardedAt, boardedBy: req.decoded.email } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).send({
+        message: 'Ticket has already been used for boarding',
+        boardedAt: booking.boardedAt
+      });
+    }
     
-    const result = await bookingsCollection.insertOne(bookingData);
-    res.send(result);
+    res.send({
+      bookingId: booking._id,
+      userEmail: booking.userEmail,
+      ticketTitle: ticket.title,
+      seats: booking.seats || [],
+      bookingQuantity: booking.bookingQuantity,
+      boardedAt
+    });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get user's bookings
-app.get('/bookings/user/:email', verifyToken, async (req, res) => {
+// Everyone paid up for one departure, one row per passenger. Boarding is
+// scanned per booking, so a group shares its booking's boarding status.
+// Bookings made before passenger lists existed show up as a single row for the booker.
+const getDepartureManifest = async (req, { ownTicketsOnly }) => {
+  const ticketId = req.params.ticketId;
+  if (!ObjectId.isValid(ticketId)) {
+    throw httpError(400, 'Invalid ticket id');
+  }
+  const ticket = await ticketsCollection.findOne({ _id: new ObjectId(ticketId) });
+  if (!ticket) {
+    throw httpError(404, 'Ticket not found');
+  }
+  if (ownTicketsOnly && !authorize(req, 'ticket:manage', ticket)) {
+    throw httpError(403, 'Forbidden access');
+  }
+
+  const bookings = await bookingsCollection
+    .find({ ticketId, status: 'paid' })
+    .sort({ paidAt: 1 })
+    .toArray();
+
+  const passengers = bookings.flatMap((booking) => {
+    const boarding = {
+      bookingId: booking._id.toString(),
+      bookedBy: booking.userEmail,
+      boarded: Boolean(booking.boardedAt),
+      boardedAt: booking.boardedAt || null
+    };
+    if (!booking.passengers?.length) {
+      return [{ name: booking.userName || booking.userEmail, seatNo: (booking.seats || []).join(', ') || null, ...boarding }];
+    }
+    const bookingPassengers = ticket.passengerIdRequired ? booking.passengers : maskPassengerIds(booking.passengers);
+    return bookingPassengers.map(passenger => ({ ...passenger, seatNo: passenger.seatNo || null, ...boarding }));
+  });
+  passengers.sort((a, b) =>
+    String(a.seatNo || '').localeCompare(String(b.seatNo || ''), undefined, { numeric: true }) ||
+    a.name.localeCompare(b.name)
+  );
+
+  const boardedCount = passengers.filter(passenger => passenger.boarded).length;
+  return {
+    ticket: {
+      ticketId,
+      title: ticket.title,
+      transportType: ticket.transportType,
+      fromLocation: ticket.fromLocation,
+      toLocation: ticket.toLocation,
+      departureDateTime: ticket.departureDateTime,
+      passengerIdRequired: Boolean(ticket.passengerIdRequired)
+    },
+    totals: {
+      bookings: bookings.length,
+      passengers: passengers.length,
+      boarded: boardedCount,
+      notBoarded: passengers.length - boardedCount
+    },
+    passengers
+  };
+};
+
+// Passenger manifest for one of the vendor's departures
+app.get('/vendor/manifest/:ticketId', verifyToken, verifyVendor, async (req, res) => {
   try {
-    const email = req.params.email;
-    
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
+    res.send(await getDepartureManifest(req, { ownTicketsOnly: true }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
     }
-    
-    const result = await bookingsCollection
-      .find({ userEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
-    res.send(result);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Passenger manifest for any departure (Admin only)
+app.get('/admin/manifest/:ticketId', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    res.send(await getDepartureManifest(req, { ownTicketsOnly: false }));
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get vendor's booking requests
-app.get('/bookings/vendor/:email', verifyToken, verifyVendor, async (req, res) => {
+// ==================== LEDGER & SETTLEMENT ROUTES ====================
+
+// Get commission rules (Admin only)
+app.get('/admin/commission-rules', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const email = req.params.email;
-    const result = await bookingsCollection
-      .find({ vendorEmail: email })
-      .sort({ createdAt: -1 })
-      .toArray();
+    const rules = await commissionRulesCollection.find().sort({ scope: 1 }).toArray();
+    res.send({ defaultPercent: DEFAULT_COMMISSION_PERCENT, rules });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Set the commission for the platform, a transport type or a single vendor (Admin only)
+app.put('/admin/commission-rules', verifyToken, verifyAdmin, validateBody(schemas.commissionRule), async (req, res) => {
+  try {
+    const { scope, percent } = req.body;
+    const vendorEmail = scope === 'vendor' ? req.body.vendorEmail : null;
+    const transportType = scope === 'transportType' ? req.body.transportType : null;
+    if (scope === 'vendor' && !vendorEmail) {
+      return res.status(400).send({ message: 'vendorEmail is required for vendor rules' });
+    }
+    if (scope === 'transportType' && !transportType) {
+      return res.status(400).send({ message: 'transportType is required for transport type rules' });
+    }
+    
+    const filter = { scope, vendorEmail, transportType };
+    const existing = await commissionRulesCollection.findOne(filter);
+    const now = new Date().toISOString();
+    const result = await runTransaction(async (session) => {
+      const updated = await commissionRulesCollection.updateOne(
+        filter,
+        { $set: { percent, updatedAt: now, updatedBy: req.decoded.email }, $setOnInsert: { createdAt: now } },
+        { upsert: true, session }
+      );
+      await recordAudit(req, {
+        action: 'commission.set',
+        targetType: 'commissionRule',
+        targetId: existing?._id || updated.upsertedId,
+        before: existing,
+        after: { ...existing, ...filter, percent }
+      }, session);
+      return updated;
+    });
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get all bookings (Admin only)
-app.get('/admin/bookings', verifyToken, verifyAdmin, async (req, res) => {
+// Remove a commission rule - the next less specific rule applies again (Admin only)
+app.delete('/admin/commission-rules/:id', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const result = await bookingsCollection
-      .find()
-      .sort({ createdAt: -1 })
-      .toArray();
+    const filter = { _id: new ObjectId(req.params.id) };
+    const rule = await commissionRulesCollection.findOne(filter);
+    if (!rule) {
+      return res.status(404).send({ message: 'Commission rule not found' });
+    }
+    const result = await runTransaction(async (session) => {
+      const deleted = await commissionRulesCollection.deleteOne(filter, { session });
+      await recordAudit(req, { action: 'commission.delete', targetType: 'commissionRule', targetId: rule._id, before: rule }, session);
+      return deleted;
+    });
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Accept booking (Vendor)
-app.patch('/bookings/accept/:id', verifyToken, verifyVendor, async (req, res) => {
+// Credit or debit a vendor's balance by hand (Admin only)
+app.post('/admin/ledger/adjustments', verifyToken, verifyAdmin, validateBody(schemas.ledgerAdjustment), async (req, res) => {
   try {
-    const id = req.params.id;
-    const filter = { _id: new ObjectId(id) };
-    const updateDoc = {
-      $set: { 
-        status: 'accepted',
-        acceptedAt: new Date().toISOString()
-      }
-    };
-    const result = await bookingsCollection.updateOne(filter, updateDoc);
-    res.send(result);
+    const { vendorEmail, amount, memo } = req.body;
+    if (roundMoney(amount) === 0) {
+      return res.status(400).send({ message: 'amount cannot be zero' });
+    }
+    const vendor = await usersCollection.findOne({ email: vendorEmail, role: 'vendor' });
+    if (!vendor) {
+      return res.status(404).send({ message: 'Vendor not found' });
+    }
+    
+    const journalId = await runTransaction(async (session) => {
+      const id = await postAdjustmentJournal({ vendorEmail, amount, memo, actorEmail: req.decoded.email }, session);
+      await recordAudit(req, {
+        action: 'ledger.adjustment',
+        targetType: 'vendor',
+        targetId: vendorEmail,
+        metadata: { journalId: id, amount, memo }
+      }, session);
+      return id;
+    });
+    res.send({ journalId, balance: await getVendorBalance(vendorEmail) });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Reject booking (Vendor)
-app.patch('/bookings/reject/:id', verifyToken, verifyVendor, async (req, res) => {
+// Get ledger entries (Admin only)
+app.get('/admin/ledger', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const id = req.params.id;
-    const filter = { _id: new ObjectId(id) };
-    const updateDoc = {
-      $set: { 
-        status: 'rejected',
-        rejectedAt: new Date().toISOString()
-      }
-    };
-    const result = await bookingsCollection.updateOne(filter, updateDoc);
-    res.send(result);
+    const { vendorEmail, account, type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const query = {};
+    if (vendorEmail) query.vendorEmail = String(vendorEmail);
+    if (account) query.account = String(account);
+    if (type) query.type = String(type);
+    
+    const entries = await ledgerEntriesCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const total = await ledgerEntriesCollection.countDocuments(query);
+    res.send({ entries, totalPages: Math.ceil(total / limit), currentPage: page, total });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Cancel booking (User)
-app.patch('/bookings/cancel/:id', verifyToken, async (req, res) => {
+// Close the latest settlement period now instead of waiting for the hourly run (Admin only)
+app.post('/admin/settlements/generate', verifyToken, verifyAdmin, validateBody(schemas.generateSettlements), async (req, res) => {
   try {
-    const id = req.params.id;
-    const booking = await bookingsCollection.findOne({ _id: new ObjectId(id) });
-    
-    if (booking.status !== 'pending') {
-      return res.status(400).send({ message: 'Can only cancel pending bookings' });
+    const periodEnd = req.body.periodEnd || getSettlementPeriodEnd();
+    if (periodEnd > new Date().toISOString()) {
+      return res.status(400).send({ message: 'periodEnd cannot be in the future' });
     }
-    
-    const filter = { _id: new ObjectId(id) };
-    const updateDoc = {
-      $set: { 
-        status: 'cancelled',
-        cancelledAt: new Date().toISOString()
-      }
-    };
-    const result = await bookingsCollection.updateOne(filter, updateDoc);
-    res.send(result);
+    const settlements = await generateSettlements(periodEnd, req);
+    res.send({ periodEnd, created: settlements.length, settlements });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Delete booking (Admin only)
-app.delete('/admin/bookings/:id', verifyToken, verifyAdmin, async (req, res) => {
+// Get settlement statements (Admin only)
+app.get('/admin/settlements', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const id = req.params.id;
-    const result = await bookingsCollection.deleteOne({ _id: new ObjectId(id) });
+    const { status, vendorEmail } = req.query;
+    const query = {};
+    if (status) query.status = String(status);
+    if (vendorEmail) query.vendorEmail = String(vendorEmail);
+    const result = await settlementsCollection.find(query).sort({ periodEnd: -1 }).toArray();
     res.send(result);
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// ==================== PAYMENT ROUTES ====================
-
-// Create payment intent (Stripe)
-app.post('/create-payment-intent', verifyToken, async (req, res) => {
+// Record the payout of a settlement (Admin only)
+app.patch('/admin/settlements/pay/:id', verifyToken, verifyAdmin, validateBody(schemas.settlementPayout), async (req, res) => {
   try {
-    const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    const { amount } = req.body;
-    const amountInCents = parseInt(amount * 100);
+    const filter = { _id: new ObjectId(req.params.id) };
+    const { reference, method, note } = req.body;
     
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: 'usd',
-      payment_method_types: ['card']
+    const settlement = await runTransaction(async (session) => {
+      const payout = {
+        reference,
+        method: method || null,
+        note: note || null,
+        paidAt: new Date().toISOString(),
+        paidBy: req.decoded.email
+      };
+      const updated = await settlementsCollection.findOneAndUpdate(
+        { ...filter, status: 'open' },
+        { $set: { status: 'paid', payout } },
+        { session, returnDocument: 'after', includeResultMetadata: false }
+      );
+      if (!updated) {
+        throw httpError(400, 'Only open settlements can be marked as paid');
+      }
+      
+      await postJournal({
+        type: 'payout',
+        vendorEmail: updated.vendorEmail,
+        reference: { settlementId: updated._id.toString(), payoutReference: reference },
+        memo: note || null,
+        settlementId: updated._id.toString(),
+        lines: [
+          { account: vendorAccount(updated.vendorEmail), debit: updated.netPayable },
+          { account: LEDGER_ACCOUNTS.cash, credit: updated.netPayable }
+        ]
+      }, session);
+      await recordAudit(req, {
+        action: 'settlement.pay',
+        targetType: 'settlement',
+        targetId: updated._id,
+        before: { status: 'open' },
+        after: { status: 'paid', payout },
+        metadata: { vendorEmail: updated.vendorEmail, amount: updated.netPayable }
+      }, session);
+      return updated;
     });
     
-    res.send({
-      clientSecret: paymentIntent.client_secret
-    });
+    res.send(settlement);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).send({ message: error.message });
+    }
     res.status(500).send({ error: error.message });
   }
 });
 
-// Save payment
-app.post('/payments', verifyToken, async (req, res) => {
+// Get a vendor's balance and recent ledger entries
+app.get('/vendor/ledger/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
   try {
-    const payment = req.body;
-    
-    // Save payment
-    const paymentData = {
-      ...payment,
-      paymentDate: new Date().toISOString()
-    };
-    const paymentResult = await paymentsCollection.insertOne(paymentData);
-    
-    // Update booking status
-    const bookingFilter = { _id: new ObjectId(payment.bookingId) };
-    const bookingUpdate = {
-      $set: { 
-        status: 'paid',
-        paidAt: new Date().toISOString(),
-        transactionId: payment.transactionId
-      }
-    };
-    await bookingsCollection.updateOne(bookingFilter, bookingUpdate);
+    const email = req.params.email;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
     
-    // Reduce ticket quantity
-    const ticketFilter = { _id: new ObjectId(payment.ticketId) };
-    const ticketUpdate = {
-      $inc: { ticketQuantity: -payment.bookingQuantity }
-    };
-    await ticketsCollection.updateOne(ticketFilter, ticketUpdate);
+    const balance = await getVendorBalance(email);
+    const unsettled = await getVendorBalance(email, { settlementId: null });
+    const entries = await ledgerEntriesCollection
+      .find({ account: vendorAccount(email) })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
     
-    res.send(paymentResult);
+    res.send({
+      balance,
+      // Earned but not yet on a statement
+      unsettled,
+      // On open statements, waiting for payout
+      awaitingPayout: roundMoney(balance - unsettled),
+      commissionPercent: await getCommissionPercent(email, null),
+      entries
+    });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
-// Get user's payment history
-app.get('/payments/:email', verifyToken, async (req, res) => {
+// Get a vendor's settlement statements
+app.get('/vendor/settlements/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
   try {
     const email = req.params.email;
-    
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
-    }
-    
-    const result = await paymentsCollection
-      .find({ userEmail: email })
-      .sort({ paymentDate: -1 })
+    const result = await settlementsCollection
+      .find({ vendorEmail: email })
+      .sort({ periodEnd: -1 })
       .toArray();
     res.send(result);
   } catch (error) {
@@ -907,14 +7562,44 @@ app.get('/payments/:email', verifyToken, async (req, res) => {
   }
 });
 
-// Get all payments (Admin only)
-app.get('/admin/payments', verifyToken, verifyAdmin, async (req, res) => {
+// ==================== AUDIT LOG ROUTES ====================
+
+// Search the audit log (Admin only)
+app.get('/admin/audit-logs', verifyToken, verifyAdmin, async (req, res) => {
   try {
-    const result = await paymentsCollection
-      .find()
-      .sort({ paymentDate: -1 })
+    const { actor, action, targetType, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const query = {};
+    if (actor) query.actorEmail = String(actor).toLowerCase();
+    if (action) query.action = String(action);
+    if (targetType) query.targetType = String(targetType);
+    if (targetId) query.targetId = String(targetId);
+    if (from || to) {
+      if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+        return res.status(400).send({ message: 'from and to must be valid dates' });
+      }
+      query.createdAt = {
+        ...(from && { $gte: new Date(from).toISOString() }),
+        ...(to && { $lte: new Date(to).toISOString() })
+      };
+    }
+    
+    const logs = await auditLogsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
       .toArray();
-    res.send(result);
+    const total = await auditLogsCollection.countDocuments(query);
+    
+    res.send({
+      logs,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
@@ -923,13 +7608,24 @@ app.get('/admin/payments', verifyToken, verifyAdmin, async (req, res) => {
 // ==================== STATS ROUTES ====================
 
 // Get vendor stats
-app.get('/vendor/stats/:email', verifyToken, verifyVendor, async (req, res) => {
+app.get('/vendor/stats/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
   try {
     const email = req.params.email;
     
-    const payments = await paymentsCollection.find({ vendorEmail: email }).toArray();
-    const totalRevenue = payments.reduce((sum, payment) => sum + payment.amount, 0);
-    const totalTicketsSold = payments.reduce((sum, payment) => sum + payment.bookingQuantity, 0);
+    const [totals] = await paymentsCollection.aggregate([
+      { $match: { vendorEmail: email } },
+      {
+        $group: {
+          _id: null,
+          revenue: { $sum: '$amount' },
+          commission: { $sum: { $ifNull: ['$commission', 0] } },
+          ticketsSold: { $sum: '$bookingQuantity' }
+        }
+      }
+    ]).toArray();
+    const totalRevenue = roundMoney(totals?.revenue || 0);
+    const totalCommission = roundMoney(totals?.commission || 0);
+    const totalTicketsSold = totals?.ticketsSold || 0;
     const totalTicketsAdded = await ticketsCollection.countDocuments({ vendorEmail: email });
     const pendingBookings = await bookingsCollection.countDocuments({ 
       vendorEmail: email, 
@@ -938,6 +7634,8 @@ app.get('/vendor/stats/:email', verifyToken, verifyVendor, async (req, res) => {
     
     res.send({
       totalRevenue,
+      totalCommission,
+      balance: await getVendorBalance(email),
       totalTicketsSold,
       totalTicketsAdded,
       pendingBookings
@@ -954,7 +7652,7 @@ app.get('/admin/stats', verifyToken, verifyAdmin, async (req, res) => {
     const totalVendors = await usersCollection.countDocuments({ role: 'vendor' });
     const totalTickets = await ticketsCollection.countDocuments();
     const totalBookings = await bookingsCollection.countDocuments();
-    const pendingTickets = await ticketsCollection.countDocuments({ verificationStatus: 'pending' });
+    const pendingTickets = await ticketsCollection.countDocuments({ verificationStatus: { $in: AWAITING_REVIEW_STATUSES } });
     const approvedTickets = await ticketsCollection.countDocuments({ verificationStatus: 'approved' });
     
     const revenueResult = await paymentsCollection.aggregate([
@@ -975,15 +7673,164 @@ app.get('/admin/stats', verifyToken, verifyAdmin, async (req, res) => {
   }
 });
 
+// ==================== ANALYTICS ROUTES ====================
+
+// Platform analytics, optionally for one vendor (Admin only)
+app.get('/admin/analytics', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const { from, to, granularity, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    const vendorEmail = req.query.vendorEmail ? String(req.query.vendorEmail) : undefined;
+    res.send(await buildAnalytics({ from, to, granularity, vendorEmail }));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Analytics for the vendor's own sales
+app.get('/vendor/analytics/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    const { from, to, granularity, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    res.send(await buildAnalytics({ from, to, granularity, vendorEmail: req.params.email }));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== EXPORT ROUTES ====================
+// Every export takes ?format=csv|xlsx plus the list filters: from, to, status, ticketId,
+// fromLocation and toLocation
+
+// Validate format and filters, then stream `collection` matching them within `scope`
+const sendExport = async (req, res, { collection, scope, dateField, statusField, columns, sort, kind }) => {
+  const { format, error: formatError } = getExportFormat(req.query);
+  if (formatError) {
+    return res.status(400).send({ message: formatError });
+  }
+  const { filter, error } = await buildListFilter(req.query, { dateField, statusField });
+  if (error) {
+    return res.status(400).send({ message: error });
+  }
+  const cursor = collection.find({ ...filter, ...scope }).sort(sort);
+  try {
+    await streamExport(res, { cursor, columns, format, filename: exportFilename(kind) });
+  } finally {
+    await cursor.close();
+  }
+};
+
+// Headers are gone once streaming starts, so a failure mid-export can only cut the download
+const handleExportError = (res, error) => {
+  if (res.headersSent) {
+    console.error('Export failed:', error.message);
+    return res.destroy(error);
+  }
+  res.status(500).send({ error: error.message });
+};
+
+const bookingExport = {
+  dateField: 'createdAt',
+  statusField: 'status',
+  columns: BOOKING_EXPORT_COLUMNS,
+  sort: { createdAt: -1 },
+  kind: 'bookings'
+};
+
+// Export all bookings (Admin only)
+app.get('/admin/exports/bookings', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    await sendExport(req, res, { ...bookingExport, collection: bookingsCollection, scope: {} });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// Export the vendor's bookings
+app.get('/vendor/exports/bookings/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    await sendExport(req, res, { ...bookingExport, collection: bookingsCollection, scope: { vendorEmail: req.params.email } });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+const paymentExport = {
+  dateField: 'paymentDate',
+  columns: PAYMENT_EXPORT_COLUMNS,
+  sort: { paymentDate: -1 },
+  kind: 'payments'
+};
+
+// Export all payments (Admin only)
+app.get('/admin/exports/payments', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    await sendExport(req, res, { ...paymentExport, collection: paymentsCollection, scope: {} });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// Export payments for the vendor's tickets
+app.get('/vendor/exports/payments/:email', verifyToken, verifyVendor, ownEmailParam, async (req, res) => {
+  try {
+    await sendExport(req, res, { ...paymentExport, collection: paymentsCollection, scope: { vendorEmail: req.params.email } });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// Paid passengers of one ticket; vendors may only export their own tickets
+const sendPassengerExport = async (req, res, { ownTicketsOnly }) => {
+  const ticketId = req.params.ticketId;
+  if (!ObjectId.isValid(ticketId)) {
+    return res.status(400).send({ message: 'Invalid ticket id' });
+  }
+  const ticket = await ticketsCollection.findOne({ _id: new ObjectId(ticketId) });
+  if (!ticket) {
+    return res.status(404).send({ message: 'Ticket not found' });
+  }
+  if (ownTicketsOnly && !authorize(req, 'ticket:manage', ticket)) {
+    return res.status(403).send({ message: 'Forbidden access' });
+  }
+
+  await sendExport(req, res, {
+    collection: bookingsCollection,
+    scope: { ticketId, status: 'paid' },
+    dateField: 'paidAt',
+    columns: PASSENGER_EXPORT_COLUMNS,
+    sort: { userName: 1 },
+    kind: `passengers-${ticketId}`
+  });
+};
+
+// Export a ticket's passenger list (Admin only)
+app.get('/admin/exports/passengers/:ticketId', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    await sendPassengerExport(req, res, { ownTicketsOnly: false });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
+// Export the passenger list of one of the vendor's tickets
+app.get('/vendor/exports/passengers/:ticketId', verifyToken, verifyVendor, async (req, res) => {
+  try {
+    await sendPassengerExport(req, res, { ownTicketsOnly: true });
+  } catch (error) {
+    handleExportError(res, error);
+  }
+});
+
 // ==================== USER STATS ====================
-app.get('/user/stats/:email', verifyToken, async (req, res) => {
+app.get('/user/stats/:email', verifyToken, ownEmailParam, async (req, res) => {
   try {
     const email = req.params.email;
     
-    if (email !== req.decoded.email) {
-      return res.status(403).send({ message: 'Forbidden access' });
-    }
-    
     const totalBookings = await bookingsCollection.countDocuments({ userEmail: email });
     const paidBookings = await bookingsCollection.countDocuments({ 
       userEmail: email, 
@@ -1008,19 +7855,229 @@ app.get('/user/stats/:email', verifyToken, async (req, res) => {
   }
 });
 
-// ==================== SEARCH LOCATIONS ====================
+// ==================== LOCATION ROUTES ====================
+const toPublicLocation = ({ _id, keys, ...location }) => ({ id: _id, ...location });
+
+// Places approved tickets run from/to, one entry per catalog place
 app.get('/locations', async (req, res) => {
   try {
-    const tickets = await ticketsCollection.find(
-      { verificationStatus: 'approved' },
-      { projection: { fromLocation: 1, toLocation: 1 } }
-    ).toArray();
+    const approved = { verificationStatus: 'approved' };
+    const [fromIds, toIds, unmappedFrom, unmappedTo] = await Promise.all([
+      ticketsCollection.distinct('fromLocationId', approved),
+      ticketsCollection.distinct('toLocationId', approved),
+      // Tickets the migration hasn't mapped yet still show under their own name
+      ticketsCollection.distinct('fromLocation', { ...approved, fromLocationId: { $exists: false } }),
+      ticketsCollection.distinct('toLocation', { ...approved, toLocationId: { $exists: false } })
+    ]);
+    
+    const places = await locationsCollection
+      .find({ _id: { $in: [...new Set([...fromIds, ...toIds])] } })
+      .sort({ name: 1 })
+      .toArray();
+    const nameById = new Map(places.map(place => [place._id, place.name]));
+    
+    const fromLocations = [...new Set([...fromIds.map(id => nameById.get(id)), ...unmappedFrom])].filter(Boolean);
+    const toLocations = [...new Set([...toIds.map(id => nameById.get(id)), ...unmappedTo])].filter(Boolean);
+    
+    res.send({ fromLocations, toLocations, places: places.map(toPublicLocation) });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// The full catalog, optionally for one division/district
+app.get('/locations/catalog', async (req, res) => {
+  try {
+    const { division, district } = req.query;
+    const query = {};
+    if (division) query.division = String(division);
+    if (district) query.district = String(district);
+    
+    const places = await locationsCollection.find(query).sort({ name: 1 }).toArray();
+    res.send(places.map(toPublicLocation));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Which catalog place a name, Bangla name or alias means
+app.get('/locations/resolve', async (req, res) => {
+  try {
+    const place = await findLocation(req.query.name);
+    if (!place) {
+      return res.status(404).send({ message: 'No place in the catalog matches that name' });
+    }
+    res.send(toPublicLocation(place));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Add a place to the catalog (Admin only)
+app.post('/admin/locations', verifyToken, verifyAdmin, validateBody(schemas.createLocation), async (req, res) => {
+  try {
+    const place = { ...toLocationDoc(req.body), createdAt: new Date().toISOString() };
+    await runTransaction(async (session) => {
+      await locationsCollection.insertOne(place, { session });
+      await recordAudit(req, { action: 'location.create', targetType: 'location', targetId: place._id, after: place }, session);
+    });
+    invalidateLocationCatalog();
+    res.send(toPublicLocation(place));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).send({ message: 'That id or one of these names already belongs to another place' });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Edit a place (Admin only). A new English name is copied onto its tickets and schedules.
+app.patch('/admin/locations/:id', verifyToken, verifyAdmin, validateBody(schemas.updateLocation, { partial: true }), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const existing = await locationsCollection.findOne({ _id: id });
+    if (!existing) {
+      return res.status(404).send({ message: 'Location not found' });
+    }
+    
+    const { _id, keys, createdAt, ...current } = existing;
+    const updated = { ...toLocationDoc({ id, ...current, ...req.body }), createdAt, updatedAt: new Date().toISOString() };
+    await runTransaction(async (session) => {
+      await locationsCollection.replaceOne({ _id: id }, updated, { session });
+      
+      if (updated.name !== existing.name) {
+        for (const collection of [ticketsCollection, schedulesCollection]) {
+          await collection.updateMany({ fromLocationId: id }, { $set: { fromLocation: updated.name } }, { session });
+          await collection.updateMany({ toLocationId: id }, { $set: { toLocation: updated.name } }, { session });
+        }
+      }
+      
+      await recordAudit(req, { action: 'location.update', targetType: 'location', targetId: id, before: existing, after: updated }, session);
+    });
+    invalidateLocationCatalog();
+    res.send(toPublicLocation(updated));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).send({ message: 'One of these names already belongs to another place' });
+    }
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== SEARCH ROUTES ====================
+
+// Search bookable tickets: ?q= (free text or a place), from, to, date (YYYY-MM-DD),
+// minPrice, maxPrice, perks (comma-separated), departAfter/departBefore (HH:mm, Bangladesh
+// time), transportType, sort and paging
+app.get('/search/tickets', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    
+    const { query, sort, projection, interpretedAs, error } = await buildTicketSearch(req.query);
+    if (error) {
+      return res.status(400).send({ message: error });
+    }
+    
+    const [tickets, total] = await Promise.all([
+      ticketsCollection
+        .find(query, projection ? { projection } : {})
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      ticketsCollection.countDocuments(query)
+    ]);
+    
+    res.send({
+      tickets,
+      interpretedAs,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error("❌ Ticket Search Error:", error.message);
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// Autocomplete for the search box: matching places (typos allowed) and upcoming ticket titles
+app.get('/search/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, MAX_SEARCH_LENGTH);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
+    if (!q) {
+      return res.send({ query: q, locations: [], tickets: [] });
+    }
     
-    const fromLocations = [...new Set(tickets.map(t => t.fromLocation))].filter(Boolean);
-    const toLocations = [...new Set(tickets.map(t => t.toLocation))].filter(Boolean);
+    const [places, tickets] = await Promise.all([
+      matchLocations(q, limit),
+      ticketsCollection
+        .find(
+          { ...getBookableTicketFilter(), title: new RegExp(`^${escapeRegex(q)}`, 'i') },
+          { projection: { title: 1, fromLocation: 1, toLocation: 1, departureDateTime: 1 } }
+        )
+        .sort({ departureDateTime: 1 })
+        .limit(limit)
+        .toArray()
+    ]);
     
-    res.send({ fromLocations, toLocations });
+    res.set('Cache-Control', 'public, max-age=60');
+    res.send({
+      query: q,
+      locations: places.map(({ _id, name, nameBn, district, division }) => ({ id: _id, name, nameBn, district, division })),
+      tickets
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+// ==================== SCHEDULED JOBS ====================
+// Sweeps run on timers, never inside requests. A long-running server starts the timers
+// itself; on Vercel nothing runs between requests, so the crons in vercel.json call
+// /admin/jobs/:name instead, authenticated with CRON_SECRET.
+// These crons run every few minutes or hourly, which needs a Vercel Pro plan - Hobby only
+// allows daily crons and refuses to deploy the rest. On Hobby, point an external scheduler
+// at the same URLs with the secret, or run the server long-lived.
+const SCHEDULED_JOBS = {
+  // Give back stock and seats held by unpaid bookings
+  reservations: { run: releaseExpiredReservations, everyMinutes: 1 },
+  // Finish cancellations whose refund went out but whose bookkeeping didn't
+  refunds: { run: completePendingRefunds, everyMinutes: 5 },
+  // Keep every schedule's rolling window filled
+  schedules: { run: generateAllScheduleInstances, everyMinutes: 60, onStart: true },
+  // Close finished settlement periods into vendor statements
+  settlements: { run: () => generateSettlements(), everyMinutes: 60, onStart: true }
+};
+
+// Vercel sends the project's CRON_SECRET as a bearer token
+const verifyCronSecret = (req, res, next) => {
+  const expected = `Bearer ${process.env.CRON_SECRET}`;
+  const given = req.headers.authorization || '';
+  if (!process.env.CRON_SECRET || given.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+    return res.status(401).send({ message: 'Unauthorized access' });
+  }
+  next();
+};
+
+// Run one scheduled job now (Vercel cron)
+app.get('/admin/jobs/:name', verifyCronSecret, async (req, res) => {
+  try {
+    const job = SCHEDULED_JOBS[req.params.name];
+    if (!job) {
+      return res.status(404).send({ message: 'Job not found' });
+    }
+    const result = await job.run();
+    res.send({
+      job: req.params.name,
+      processed: Array.isArray(result) ? result.length : result,
+      finishedAt: new Date().toISOString()
+    });
   } catch (error) {
+    console.error(`❌ Job ${req.params.name} Error:`, error.message);
     res.status(500).send({ error: error.message });
   }
 });
@@ -1035,7 +8092,22 @@ app.get('/health', (req, res) => {
       users: usersCollection ? 'Ready ✅' : 'Not Ready ❌',
       tickets: ticketsCollection ? 'Ready ✅' : 'Not Ready ❌',
       bookings: bookingsCollection ? 'Ready ✅' : 'Not Ready ❌',
-      payments: paymentsCollection ? 'Ready ✅' : 'Not Ready ❌'
+      payments: paymentsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      seatHolds: seatHoldsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      refunds: refundsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      schedules: schedulesCollection ? 'Ready ✅' : 'Not Ready ❌',
+      coupons: couponsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      reviews: reviewsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      waitlist: waitlistCollection ? 'Ready ✅' : 'Not Ready ❌',
+      vendorApplications: vendorApplicationsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      auditLogs: auditLogsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      ticketRevisions: ticketRevisionsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      ledgerEntries: ledgerEntriesCollection ? 'Ready ✅' : 'Not Ready ❌',
+      settlements: settlementsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      notifications: notificationsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      refreshTokens: refreshTokensCollection ? 'Ready ✅' : 'Not Ready ❌',
+      locations: locationsCollection ? 'Ready ✅' : 'Not Ready ❌',
+      paymentSessions: paymentSessionsCollection ? 'Ready ✅' : 'Not Ready ❌'
     }
   });
 });
@@ -1060,11 +8132,22 @@ process.on('SIGINT', async () => {
 });
 
 // ==================== START SERVER ====================
-connectDB().then(() => {
-  app.listen(port, () => {
-    console.log(`🚀 TicketBari Server is running on port ${port}`);
+// Only when run directly - Vercel and the tests load the app and connect on the first request
+if (require.main === module) {
+  connectDB().then(() => {
+    app.listen(port, () => {
+      console.log(`🚀 TicketBari Server is running on port ${port}`);
+    });
+    
+    Object.entries(SCHEDULED_JOBS).forEach(([name, job]) => {
+      const run = () => job.run().catch(err => console.error(`❌ Job ${name} Error:`, err.message));
+      if (job.onStart) run();
+      setInterval(run, job.everyMinutes * 60 * 1000);
+    });
+  }).catch(err => {
+    console.error('❌ Failed to start server:', err);
+    process.exit(1);
   });
-}).catch(err => {
-  console.error('❌ Failed to start server:', err);
-  process.exit(1);
-});
\ No newline at end of file
+}
+
+module.exports = app;
\ No newline at end of file
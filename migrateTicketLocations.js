@@ -0,0 +1,100 @@
+// One-off: map existing tickets, schedules and coupon routes onto the location catalog.
+// Usage: node migrateTicketLocations.js [--dry-run]
+// Start the server once first so the catalog is seeded. Names the catalog doesn't know are
+// listed at the end - add them (or an alias) with POST /admin/locations and run this again.
+const { MongoClient } = require('mongodb');
+require('dotenv').config();
+
+const dryRun = process.argv.includes('--dry-run');
+const client = new MongoClient(process.env.MONGODB_URI);
+
+// Same rules as normalizeLocationKey in index.js
+const normalizeLocationKey = (value) => String(value || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/['’`.]/g, '')
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+  .trim();
+
+async function migrate() {
+  try {
+    await client.connect();
+    console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run - nothing will be written)' : ''}`);
+
+    const db = client.db("ticketBariDB");
+    const places = await db.collection("locations").find().toArray();
+    if (places.length === 0) {
+      console.error("❌ The location catalog is empty - start the server once to seed it");
+      process.exitCode = 1;
+      return;
+    }
+
+    const placeByKey = new Map();
+    places.forEach(place => place.keys.forEach(key => placeByKey.set(key, place)));
+    const unknown = new Map();
+
+    // Tickets and schedules: one updateMany per distinct spelling
+    for (const name of ["tickets", "schedules"]) {
+      const collection = db.collection(name);
+      for (const field of ["fromLocation", "toLocation"]) {
+        const idField = `${field}Id`;
+        const spellings = await collection.distinct(field, { [idField]: { $exists: false } });
+
+        for (const spelling of spellings) {
+          const filter = { [field]: spelling, [idField]: { $exists: false } };
+          const place = placeByKey.get(normalizeLocationKey(spelling));
+          if (!place) {
+            unknown.set(spelling, (unknown.get(spelling) || 0) + await collection.countDocuments(filter));
+            continue;
+          }
+
+          const count = dryRun
+            ? await collection.countDocuments(filter)
+            : (await collection.updateMany(filter, { $set: { [field]: place.name, [idField]: place._id } })).modifiedCount;
+          console.log(`📍 ${name}.${field}: "${spelling}" -> ${place._id} (${count})`);
+        }
+      }
+    }
+
+    // Coupon routes are matched against ticket names, so they need the canonical names too
+    const coupons = db.collection("coupons");
+    let couponsUpdated = 0;
+    for await (const coupon of coupons.find({ "routes.0": { $exists: true } })) {
+      let changed = false;
+      const routes = coupon.routes.map((route) => {
+        const mapped = { ...route };
+        for (const field of ["fromLocation", "toLocation"]) {
+          const place = placeByKey.get(normalizeLocationKey(route[field]));
+          if (!place) {
+            unknown.set(route[field], (unknown.get(route[field]) || 0) + 1);
+          } else if (route[`${field}Id`] !== place._id) {
+            mapped[field] = place.name;
+            mapped[`${field}Id`] = place._id;
+            changed = true;
+          }
+        }
+        return mapped;
+      });
+
+      if (changed) {
+        if (!dryRun) await coupons.updateOne({ _id: coupon._id }, { $set: { routes } });
+        couponsUpdated++;
+      }
+    }
+    console.log(`🎟️ ${couponsUpdated} coupon(s) with routes mapped`);
+
+    if (unknown.size > 0) {
+      console.log("⚠️ Not in the catalog (documents or routes affected):");
+      unknown.forEach((count, spelling) => console.log(`   "${spelling}": ${count}`));
+    } else {
+      console.log("🎉 Every location is mapped to the catalog");
+    }
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+migrate();
@@ -0,0 +1,42 @@
+// Sends a signed Stripe fixture event to the local webhook endpoint.
+// Usage: node sendStripeEvent.js <fixture.json> [bookingId] [amountInCents]
+const fs = require('fs');
+require('dotenv').config();
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const [fixturePath, bookingId, amount] = process.argv.slice(2);
+const port = process.env.PORT || 5000;
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+async function sendEvent() {
+  if (!fixturePath || !secret) {
+    console.error("❌ Usage: node sendStripeEvent.js <fixture.json> [bookingId] [amountInCents] (needs STRIPE_WEBHOOK_SECRET)");
+    process.exit(1);
+  }
+
+  const event = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const paymentIntent = event.data.object;
+
+  // Point the fixture at a real local booking
+  if (bookingId) paymentIntent.metadata.bookingId = bookingId;
+  if (amount) {
+    paymentIntent.amount = parseInt(amount);
+    if (paymentIntent.status === 'succeeded') paymentIntent.amount_received = parseInt(amount);
+  }
+
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  const response = await fetch(`http://localhost:${port}/webhooks/stripe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+
+  console.log(`📨 ${event.type} -> ${response.status}`, await response.text());
+}
+
+sendEvent().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
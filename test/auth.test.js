@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db, startServer, registerUser } = require('./support/server');
+
+let server;
+
+// Firebase identity tokens signed by a local key instead of Google's
+const FIREBASE_PROJECT_ID = 'ticketbari-test';
+const firebaseKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.FIREBASE_PROJECT_ID = FIREBASE_PROJECT_ID;
+process.env.FIREBASE_PUBLIC_KEYS = JSON.stringify({
+  'test-key': firebaseKey.publicKey.export({ type: 'spki', format: 'pem' })
+});
+
+const firebaseIdToken = (claims) => jwt.sign(claims, firebaseKey.privateKey, {
+  algorithm: 'RS256',
+  keyid: 'test-key',
+  audience: FIREBASE_PROJECT_ID,
+  issuer: `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`,
+  expiresIn: '1h'
+});
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+const refresh = (refreshToken) => server.request('POST', '/auth/refresh', { body: { refreshToken } });
+const notificationsOf = (email, token) => server.request('GET', `/notifications/${email}`, { token });
+
+test('refreshing rotates the refresh token and the new access token works', async () => {
+  const email = 'nadia@example.com';
+  const first = await registerUser(server.request, email);
+
+  const rotated = await refresh(first.refreshToken);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, first.refreshToken);
+  assert.equal((await notificationsOf(email, rotated.body.token)).status, 200);
+
+  const stored = await db.collection('refreshTokens').find({ userEmail: email }).toArray();
+  assert.equal(stored.length, 2);
+  assert.equal(new Set(stored.map(token => token.familyId)).size, 1);
+  // Only hashes are kept
+  assert.ok(stored.every(token => token.tokenHash !== first.refreshToken && token.tokenHash !== rotated.body.refreshToken));
+});
+
+test('replaying a used refresh token revokes the whole family', async () => {
+  const first = await registerUser(server.request, 'tanvir@example.com');
+  const rotated = await refresh(first.refreshToken);
+  assert.equal(rotated.status, 200);
+
+  const replay = await refresh(first.refreshToken);
+  assert.equal(replay.status, 401);
+  // The thief and the owner both have to sign in again
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+});
+
+test('two refreshes racing with the same token yield one new session', async () => {
+  const first = await registerUser(server.request, 'sumaiya@example.com');
+  const results = await Promise.all([refresh(first.refreshToken), refresh(first.refreshToken)]);
+  assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+});
+
+test('an unknown or expired refresh token is refused', async () => {
+  const first = await registerUser(server.request, 'farhan@example.com');
+  assert.equal((await refresh('not-a-real-token')).status, 401);
+
+  await db.collection('refreshTokens').updateMany(
+    { userEmail: 'farhan@example.com' },
+    { $set: { expiresAt: new Date(Date.now() - 1000) } }
+  );
+  assert.equal((await refresh(first.refreshToken)).status, 401);
+});
+
+test('logging out revokes the access token and its refresh family', async () => {
+  const email = 'mitu@example.com';
+  const session = await registerUser(server.request, email);
+
+  const logout = await server.request('POST', '/auth/logout', {
+    token: session.token,
+    body: { refreshToken: session.refreshToken }
+  });
+  assert.equal(logout.status, 200);
+  assert.equal((await notificationsOf(email, session.token)).status, 401);
+  assert.equal((await refresh(session.refreshToken)).status, 401);
+});
+
+test('tokens signed with the secret but not issued as access tokens are refused', async () => {
+  const email = 'older.client@example.com';
+  const secret = process.env.ACCESS_TOKEN_SECRET;
+  // What /jwt used to hand out: no audience and no id, so it could never be revoked
+  const legacy = jwt.sign({ email }, secret, { expiresIn: '1h' });
+  assert.equal((await notificationsOf(email, legacy)).status, 401);
+
+  const eTicket = jwt.sign({ email }, secret, { audience: 'ticketbari:eticket', jwtid: 'e-ticket', expiresIn: '1h' });
+  assert.equal((await notificationsOf(email, eTicket)).status, 401);
+});
+
+test('a verified Firebase sign-in takes an email back from whoever registered a password for it', async () => {
+  const email = 'rupa@example.com';
+  // Someone registered the address before its owner ever signed in
+  const squatter = await registerUser(server.request, email);
+
+  const unverified = await server.request('POST', '/auth/firebase', {
+    body: { idToken: firebaseIdToken({ sub: 'firebase-rupa', email, email_verified: false }) }
+  });
+  assert.equal(unverified.status, 403);
+  const squatterSession = await refresh(squatter.refreshToken);
+  assert.equal(squatterSession.status, 200);
+
+  const owner = await server.request('POST', '/auth/firebase', {
+    body: { idToken: firebaseIdToken({ sub: 'firebase-rupa', email, email_verified: true }) }
+  });
+  assert.equal(owner.status, 200);
+  assert.equal((await notificationsOf(email, owner.body.token)).status, 200);
+
+  const login = await server.request('POST', '/auth/login', { body: { email, password: 'correct horse battery' } });
+  assert.equal(login.status, 401);
+  assert.equal((await refresh(squatterSession.body.refreshToken)).status, 401);
+  assert.equal((await refresh(owner.body.refreshToken)).status, 200);
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  CLIENT_URL,
+  startServer,
+  registerUser,
+  seedTicket,
+  seedBooking,
+  openMockCheckout,
+  findById
+} = require('./support/server');
+
+const PASSENGER = 'rahim@example.com';
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.request, PASSENGER));
+});
+
+after(() => server.close());
+
+test('a confirmed payment marks the booking paid and records the charge once', async () => {
+  const ticket = await seedTicket();
+  const booking = await seedBooking(ticket, PASSENGER);
+  const bookingId = booking._id.toString();
+
+  const { session, pay } = await openMockCheckout(server.request, bookingId, token);
+  assert.equal(session.amount, 1000);
+  assert.equal(session.chargeAmount, 1000);
+
+  const paid = await server.request('GET', pay);
+  assert.equal(paid.status, 302);
+  assert.equal(paid.headers.get('location'), `${CLIENT_URL}/payment/success?bookingId=${bookingId}`);
+
+  // The browser return and a status check can both report the same payment
+  const replay = await server.request('GET', pay);
+  assert.equal(replay.headers.get('location'), `${CLIENT_URL}/payment/success?bookingId=${bookingId}`);
+
+  const updated = await findById('bookings', bookingId);
+  assert.equal(updated.status, 'paid');
+  assert.equal(updated.reservationStatus, 'confirmed');
+  assert.equal(updated.holdExpiresAt, undefined);
+
+  const payments = await db.collection('payments').find({ bookingId }).toArray();
+  assert.equal(payments.length, 1);
+  assert.equal(payments[0].amount, 1000);
+  assert.equal(payments[0].chargedAmountMinor, 100000);
+  assert.equal(payments[0].commission + payments[0].vendorShare, 1000);
+
+  const entries = await db.collection('ledgerEntries').find({ 'reference.paymentId': payments[0]._id.toString() }).toArray();
+  const debits = entries.reduce((sum, entry) => sum + entry.debit, 0);
+  const credits = entries.reduce((sum, entry) => sum + entry.credit, 0);
+  assert.equal(debits, 1000);
+  assert.equal(credits, 1000);
+
+  // Stock was taken when the booking was made, not again at payment
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 8);
+  assert.equal((await findById('paymentSessions', session.sessionId)).status, 'succeeded');
+});
+
+test('a failed payment leaves the booking unpaid', async () => {
+  const ticket = await seedTicket();
+  const booking = await seedBooking(ticket, PASSENGER);
+  const bookingId = booking._id.toString();
+
+  const { session, fail } = await openMockCheckout(server.request, bookingId, token);
+  const response = await server.request('GET', fail);
+  assert.equal(response.status, 302);
+  assert.match(response.headers.get('location'), /\/payment\/failed\?/);
+
+  assert.equal((await findById('bookings', bookingId)).status, 'accepted');
+  assert.equal((await findById('paymentSessions', session.sessionId)).status, 'failed');
+  assert.equal(await db.collection('payments').countDocuments({ bookingId }), 0);
+});
+
+test('an outcome with a forged signature is not applied', async () => {
+  const ticket = await seedTicket();
+  const booking = await seedBooking(ticket, PASSENGER);
+  const bookingId = booking._id.toString();
+
+  const { fail } = await openMockCheckout(server.request, bookingId, token);
+  const forged = fail.replace('outcome=failure', 'outcome=success');
+  const response = await server.request('GET', forged);
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.pathname, '/payment/failed');
+  assert.equal(location.searchParams.get('reason'), 'Invalid mock payment signature');
+
+  assert.equal((await findById('bookings', bookingId)).status, 'accepted');
+  assert.equal(await db.collection('payments').countDocuments({ bookingId }), 0);
+});
+
+test('money captured for a booking that can no longer take it is refunded exactly once', async () => {
+  const ticket = await seedTicket();
+  const booking = await seedBooking(ticket, PASSENGER);
+  const bookingId = booking._id.toString();
+
+  const { session, pay } = await openMockCheckout(server.request, bookingId, token);
+  // Cancelled in another tab while the passenger was on the gateway
+  await db.collection('bookings').updateOne({ _id: booking._id }, { $set: { status: 'cancelled' } });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const response = await server.request('GET', pay);
+    const location = new URL(response.headers.get('location'));
+    assert.equal(location.pathname, '/payment/failed');
+    assert.equal(location.searchParams.get('reason'), 'Cannot pay for a cancelled booking. The payment has been refunded.');
+  }
+
+  const refunds = await db.collection('refunds').find({ bookingId, type: 'unconfirmed_payment' }).toArray();
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].status, 'succeeded');
+  assert.equal(refunds[0].refundAmountMinor, 100000);
+  assert.equal(refunds[0].providerRefundId, `mock_refund_${bookingId}`);
+
+  assert.equal((await findById('paymentSessions', session.sessionId)).status, 'refunded');
+  assert.equal(await db.collection('payments').countDocuments({ bookingId }), 0);
+});
+
+test('only the booking owner can open a payment session', async () => {
+  const ticket = await seedTicket();
+  const booking = await seedBooking(ticket, 'someone.else@example.com');
+
+  const response = await server.request('POST', '/payments/sessions', {
+    token,
+    body: { bookingId: booking._id.toString(), provider: 'mock' }
+  });
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,144 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  startServer,
+  registerUser,
+  seedTicket,
+  seedBooking,
+  openMockCheckout,
+  findById
+} = require('./support/server');
+
+const PASSENGER = 'karim@example.com';
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.request, PASSENGER));
+});
+
+after(() => server.close());
+
+const payForBooking = async (ticket) => {
+  const booking = await seedBooking(ticket, PASSENGER);
+  const { pay } = await openMockCheckout(server.request, booking._id.toString(), token);
+  await server.request('GET', pay);
+  return findById('bookings', booking._id);
+};
+
+const ledgerTotals = async (refundId) => {
+  const entries = await db.collection('ledgerEntries').find({ 'reference.refundId': refundId }).toArray();
+  return {
+    debits: entries.reduce((sum, entry) => sum + entry.debit, 0),
+    credits: entries.reduce((sum, entry) => sum + entry.credit, 0)
+  };
+};
+
+test('cancelling a paid booking refunds it by the ticket policy and returns the seats', async () => {
+  const ticket = await seedTicket();
+  const booking = await payForBooking(ticket);
+  const bookingId = booking._id.toString();
+  assert.equal(booking.status, 'paid');
+
+  // Ten days out the default policy gives half back
+  const response = await server.request('PATCH', `/bookings/cancel/${bookingId}`, { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.refundAmount, 500);
+  assert.equal(response.body.refundPercent, 50);
+  assert.equal(response.body.providerRefundId, `mock_refund_${bookingId}`);
+
+  const cancelled = await findById('bookings', bookingId);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.refundAmount, 500);
+  assert.equal(cancelled.reservationStatus, 'released');
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 10);
+
+  const refunds = await db.collection('refunds').find({ bookingId }).toArray();
+  assert.equal(refunds.length, 1);
+  assert.deepEqual(await ledgerTotals(refunds[0]._id.toString()), { debits: 500, credits: 500 });
+
+  const again = await server.request('PATCH', `/bookings/cancel/${bookingId}`, { token });
+  assert.equal(again.status, 400);
+  assert.equal(await db.collection('refunds').countDocuments({ bookingId }), 1);
+});
+
+test('the vendor cancellation policy decides the refund', async () => {
+  const ticket = await seedTicket({
+    cancellationPolicy: { tiers: [{ hoursBeforeDeparture: 72, refundPercent: 90 }, { hoursBeforeDeparture: 0, refundPercent: 0 }] }
+  });
+  const booking = await payForBooking(ticket);
+
+  const response = await server.request('PATCH', `/bookings/cancel/${booking._id}`, { token });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.refundPercent, 90);
+  assert.equal(response.body.refundAmount, 900);
+});
+
+test('a departed trip cannot be cancelled for a refund', async () => {
+  const ticket = await seedTicket();
+  const booking = await payForBooking(ticket);
+  await db.collection('tickets').updateOne(
+    { _id: ticket._id },
+    { $set: { departureDateTime: new Date(Date.now() - 60 * 60 * 1000).toISOString() } }
+  );
+
+  const response = await server.request('PATCH', `/bookings/cancel/${booking._id}`, { token });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, 'Cannot cancel after departure');
+  assert.equal((await findById('bookings', booking._id)).status, 'paid');
+});
+
+test('a refund that went out before the bookkeeping failed is finished without refunding again', async () => {
+  const ticket = await seedTicket();
+  const booking = await payForBooking(ticket);
+  const bookingId = booking._id.toString();
+
+  // Where cancelPaidBooking stops if the process dies right after the provider refunded
+  await db.collection('bookings').updateOne({ _id: booking._id }, {
+    $set: {
+      status: 'refund_pending',
+      pendingRefund: {
+        refundAmount: 500,
+        refundPercent: 50,
+        hoursBeforeDeparture: 240,
+        status: 'issued',
+        providerRefundId: 'mock_refund_earlier',
+        providerStatus: 'succeeded'
+      }
+    }
+  });
+
+  const job = await server.request('GET', '/admin/jobs/refunds', { token: process.env.CRON_SECRET });
+  assert.equal(job.status, 200);
+  assert.equal(job.body.processed, 1);
+
+  const cancelled = await findById('bookings', bookingId);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.pendingRefund.status, 'completed');
+
+  const refunds = await db.collection('refunds').find({ bookingId }).toArray();
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].providerRefundId, 'mock_refund_earlier');
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 10);
+
+  // A retry from the passenger after the sweep just reports that it is already cancelled
+  const retry = await server.request('PATCH', `/bookings/cancel/${bookingId}`, { token });
+  assert.equal(retry.status, 400);
+  assert.equal(await db.collection('refunds').countDocuments({ bookingId }), 1);
+});
+
+test('a cancellation already in flight is not refunded twice', async () => {
+  const ticket = await seedTicket();
+  const booking = await payForBooking(ticket);
+  await db.collection('bookings').updateOne(
+    { _id: booking._id },
+    { $set: { status: 'refund_pending', pendingRefund: { refundAmount: 500, refundPercent: 50, status: 'claimed' } } }
+  );
+
+  const response = await server.request('PATCH', `/bookings/cancel/${booking._id}`, { token });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, 'Booking is already being cancelled');
+  assert.equal(await db.collection('refunds').countDocuments({ bookingId: booking._id.toString() }), 0);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, startServer, registerUser, seedTicket, requestBooking, findById } = require('./support/server');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await registerUser(server.request, 'shakil@example.com'));
+});
+
+after(() => server.close());
+
+test('concurrent bookings never take more tickets than are left', async () => {
+  const ticket = await seedTicket({ ticketQuantity: 3 });
+
+  // Every request passes the availability check on its stale read; only the reservation decides
+  const responses = await Promise.all(Array.from({ length: 6 }, () => requestBooking(server.request, token, ticket)));
+  const accepted = responses.filter(response => response.status === 200);
+  const refused = responses.filter(response => response.status !== 200);
+
+  assert.equal(accepted.length, 3);
+  assert.ok(refused.every(response => response.status === 400 && response.body.message === 'Not enough tickets available'));
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 0);
+  assert.equal(await db.collection('bookings').countDocuments({ ticketId: ticket._id.toString() }), 3);
+});
+
+test('a booking larger than the remaining stock is refused whole', async () => {
+  const ticket = await seedTicket({ ticketQuantity: 2 });
+
+  const response = await requestBooking(server.request, token, ticket, { bookingQuantity: 3 });
+  assert.equal(response.status, 400);
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 2);
+});
+
+test('cancelling a pending booking gives its stock back', async () => {
+  const ticket = await seedTicket({ ticketQuantity: 2 });
+  const booked = await requestBooking(server.request, token, ticket, { bookingQuantity: 2 });
+  assert.equal(booked.status, 200);
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 0);
+
+  const cancelled = await server.request('PATCH', `/bookings/cancel/${booked.body.insertedId}`, { token });
+  assert.equal(cancelled.status, 200);
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 2);
+
+  // Releasing twice must not hand the stock out twice
+  const again = await server.request('PATCH', `/bookings/cancel/${booked.body.insertedId}`, { token });
+  assert.equal(again.status, 400);
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 2);
+});
+
+test('expired holds are released by the reservations job', async () => {
+  const ticket = await seedTicket({ ticketQuantity: 1 });
+  const booked = await requestBooking(server.request, token, ticket);
+  assert.equal(booked.status, 200);
+
+  await db.collection('bookings').updateOne(
+    { _id: new ObjectId(booked.body.insertedId) },
+    { $set: { holdExpiresAt: new Date(Date.now() - 1000).toISOString() } }
+  );
+  const job = await server.request('GET', '/admin/jobs/reservations', { token: process.env.CRON_SECRET });
+  assert.equal(job.status, 200);
+
+  const expired = await findById('bookings', booked.body.insertedId);
+  assert.equal(expired.status, 'expired');
+  assert.equal(expired.reservationStatus, 'released');
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 1);
+});
+
+test('only tickets listed in the catalog can be booked', async () => {
+  const unlisted = [
+    await seedTicket({ verificationStatus: 'pending' }),
+    await seedTicket({ isHidden: true }),
+    await seedTicket({ departureDateTime: new Date(Date.now() - 60 * 60 * 1000).toISOString() })
+  ];
+
+  for (const ticket of unlisted) {
+    const response = await requestBooking(server.request, token, ticket);
+    assert.equal(response.status, 404);
+    assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 10);
+  }
+});
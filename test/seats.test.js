@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer, registerUser, seedTicket, requestBooking, findById } = require('./support/server');
+
+let server;
+let firstToken;
+let secondToken;
+
+before(async () => {
+  server = await startServer();
+  ({ token: firstToken } = await registerUser(server.request, 'ayesha@example.com'));
+  ({ token: secondToken } = await registerUser(server.request, 'babul@example.com'));
+});
+
+after(() => server.close());
+
+const seedSeatedTicket = () => seedTicket({
+  ticketQuantity: 4,
+  seatLayout: {
+    cabins: [{ name: 'Main', cabinClass: 'standard', seatType: 'seat', rows: [['A1', 'A2', null, 'A3', 'A4']] }],
+    totalSeats: 4
+  }
+});
+
+const seatStatuses = async (ticket) => {
+  const response = await server.request('GET', `/tickets/${ticket._id}/seats`);
+  assert.equal(response.status, 200);
+  const seats = response.body.cabins.flatMap(cabin => cabin.rows.flat()).filter(Boolean);
+  return { ...Object.fromEntries(seats.map(seat => [seat.seatNo, seat.status])), available: response.body.availableSeats };
+};
+
+test('two passengers racing for an overlapping seat: one gets it, the other holds nothing', async () => {
+  const ticket = await seedSeatedTicket();
+
+  const responses = await Promise.all([
+    requestBooking(server.request, firstToken, ticket, { seats: ['A1', 'A2'] }),
+    requestBooking(server.request, secondToken, ticket, { seats: ['A2', 'A3'] })
+  ]);
+  const statuses = responses.map(response => response.status).sort();
+  assert.deepEqual(statuses, [200, 409]);
+
+  // The loser's stock and any seat it held before the clash are rolled back with it
+  const ticketId = ticket._id.toString();
+  assert.equal(await db.collection('bookings').countDocuments({ ticketId }), 1);
+  assert.equal(await db.collection('seatHolds').countDocuments({ ticketId }), 2);
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 2);
+
+  const seats = await seatStatuses(ticket);
+  assert.equal(seats.A2, 'held');
+  assert.equal(seats.A4, 'available');
+  assert.equal(seats.available, 2);
+});
+
+test('a seat that is held cannot be booked again', async () => {
+  const ticket = await seedSeatedTicket();
+  assert.equal((await requestBooking(server.request, firstToken, ticket, { seats: ['A4'] })).status, 200);
+
+  const response = await requestBooking(server.request, secondToken, ticket, { seats: ['a4'] });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.message, 'One or more selected seats are no longer available');
+});
+
+test('seats must exist on the layout and the quantity follows the selection', async () => {
+  const ticket = await seedSeatedTicket();
+
+  const unknown = await requestBooking(server.request, firstToken, ticket, { seats: ['Z9'] });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.message, 'Unknown seats: Z9');
+
+  const booked = await requestBooking(server.request, firstToken, ticket, { seats: ['A1', 'A3'] });
+  assert.equal(booked.status, 200);
+  const booking = await findById('bookings', booked.body.insertedId);
+  assert.equal(booking.bookingQuantity, 2);
+  assert.deepEqual(booking.seats, ['A1', 'A3']);
+});
+
+test('cancelling a booking frees its seats', async () => {
+  const ticket = await seedSeatedTicket();
+  const booked = await requestBooking(server.request, firstToken, ticket, { seats: ['A1'] });
+
+  const cancelled = await server.request('PATCH', `/bookings/cancel/${booked.body.insertedId}`, { token: firstToken });
+  assert.equal(cancelled.status, 200);
+  assert.equal((await seatStatuses(ticket)).A1, 'available');
+  assert.equal((await requestBooking(server.request, secondToken, ticket, { seats: ['A1'] })).status, 200);
+});
+
+test('a seat whose hold lapsed is free again before the reservations job runs', async () => {
+  const ticket = await seedSeatedTicket();
+  const booked = await requestBooking(server.request, firstToken, ticket, { seats: ['A2'] });
+  assert.equal(booked.status, 200);
+
+  await db.collection('seatHolds').updateOne(
+    { bookingId: booked.body.insertedId },
+    { $set: { expiresAt: new Date(Date.now() - 1000).toISOString() } }
+  );
+  const seats = await seatStatuses(ticket);
+  assert.equal(seats.A2, 'available');
+  assert.equal(seats.available, 4);
+
+  assert.equal((await requestBooking(server.request, secondToken, ticket, { seats: ['A2'] })).status, 200);
+  assert.equal((await seatStatuses(ticket)).A2, 'held');
+});
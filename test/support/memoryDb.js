@@ -0,0 +1,495 @@
+const { ObjectId } = require('mongodb');
+
+// Just enough of a MongoDB database to run the server's routes in-process, for machines
+// without a MongoDB replica set (set MONGODB_TEST_URI to run the tests against a real one).
+// Filters and updates cover the operators index.js uses; anything else throws, so a test
+// can't pass because an operator was silently ignored.
+//
+// Single operations are atomic, as in MongoDB, and unique indexes are enforced. Requests
+// interleave between operations, so conditional updates and unique indexes are raced for real.
+// Transactions run one at a time and undo their own writes (those made with the session)
+// when the work throws - MongoDB reaches the same outcome by aborting and retrying
+// transactions that conflict. Snapshot reads inside a transaction are not modelled.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof ObjectId) && !(value instanceof Date) && !(value instanceof RegExp);
+
+const clone = (value) => {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target == null ? undefined : target[key]), doc);
+  if (parent != null) delete parent[last];
+};
+
+// ObjectIds and dates compare by value
+const comparable = (value) => {
+  if (value instanceof ObjectId) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return comparable(a) === comparable(b);
+};
+
+// A filter value matches an array field when it matches the array or any element of it
+const matchesValue = (value, expected) => {
+  if (expected === null) return value == null;
+  if (expected instanceof RegExp) {
+    return Array.isArray(value) ? value.some(item => expected.test(item)) : typeof value === 'string' && expected.test(value);
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => isEqual(item, expected));
+  }
+  return isEqual(value, expected);
+};
+
+const compare = (value, bound, test) => {
+  if (value == null) return false;
+  const candidates = Array.isArray(value) ? value : [value];
+  return candidates.some((item) => {
+    const a = comparable(item);
+    const b = comparable(bound);
+    return typeof a === typeof b && test(a, b);
+  });
+};
+
+const matchesCondition = (value, condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).some(key => key.startsWith('$'))) {
+    return matchesValue(value, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return matchesValue(value, operand);
+      case '$ne': return !matchesValue(value, operand);
+      case '$in': return operand.some(item => matchesValue(value, item));
+      case '$nin': return !operand.some(item => matchesValue(value, item));
+      case '$gt': return compare(value, operand, (a, b) => a > b);
+      case '$gte': return compare(value, operand, (a, b) => a >= b);
+      case '$lt': return compare(value, operand, (a, b) => a < b);
+      case '$lte': return compare(value, operand, (a, b) => a <= b);
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$not': return !matchesCondition(value, operand);
+      case '$regex': return matchesValue(value, new RegExp(operand, condition.$options || ''));
+      case '$options': return true;
+      default: throw new Error(`Query operator ${operator} is not supported by the in-memory database`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(doc, branch));
+  if (key === '$and') return condition.every(branch => matches(doc, branch));
+  if (key === '$nor') return !condition.some(branch => matches(doc, branch));
+  if (key.startsWith('$')) {
+    throw new Error(`Query operator ${key} is not supported by the in-memory database`);
+  }
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+const applyUpdate = (doc, update, isInsert) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case '$set': return setPath(doc, path, clone(value));
+        case '$setOnInsert': return isInsert && setPath(doc, path, clone(value));
+        case '$unset': return unsetPath(doc, path);
+        case '$inc': return setPath(doc, path, (getPath(doc, path) || 0) + value);
+        case '$push': return setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]);
+        default: throw new Error(`Update operator ${operator} is not supported by the in-memory database`);
+      }
+    });
+  });
+};
+
+// The equality parts of a filter seed an upserted document, as in MongoDB
+const seedFromFilter = (filter) => {
+  const doc = {};
+  Object.entries(filter).forEach(([key, value]) => {
+    if (!key.startsWith('$') && !(isPlainObject(value) && Object.keys(value).some(k => k.startsWith('$')))) {
+      setPath(doc, key, clone(value));
+    }
+  });
+  return doc;
+};
+
+// Every operation waits a turn of the event loop, as a network round trip would, so
+// concurrent requests really interleave between operations
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+const duplicateKeyError = (collection, index) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${collection} index: ${index}`),
+  { code: 11000 }
+);
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort || {});
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const x = comparable(getPath(a, key));
+      const y = comparable(getPath(b, key));
+      if (x === y) continue;
+      if (x === undefined || x === null) return -direction;
+      if (y === undefined || y === null) return direction;
+      return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+};
+
+const project = (doc, projection) => {
+  const entries = Object.entries(projection || {});
+  if (entries.length === 0) return doc;
+  if (entries.every(([, include]) => !include)) {
+    const result = { ...doc };
+    entries.forEach(([key]) => unsetPath(result, key));
+    return result;
+  }
+  const result = {};
+  if (projection._id !== 0) result._id = doc._id;
+  entries.forEach(([key, include]) => {
+    if (include && getPath(doc, key) !== undefined) setPath(result, key, getPath(doc, key));
+  });
+  return result;
+};
+
+class MemoryCursor {
+  constructor(load, projection) {
+    this.load = load;
+    this.options = { projection, skip: 0, limit: 0 };
+  }
+
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+  project(projection) { this.options.projection = projection; return this; }
+
+  async toArray() {
+    await roundTrip();
+    const { sort, skip, limit, projection } = this.options;
+    const sorted = sortDocs(this.load(), sort).slice(skip, limit ? skip + limit : undefined);
+    return sorted.map(doc => project(clone(doc), projection));
+  }
+
+  async close() {}
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.indexList = [];
+  }
+
+  // Unique indexes are enforced - the server relies on them for idempotency
+  checkUnique(doc) {
+    if (this.docs.some(other => other !== doc && isEqual(other._id, doc._id))) {
+      throw duplicateKeyError(this.collectionName, '_id_');
+    }
+    for (const index of this.indexList.filter(candidate => candidate.unique)) {
+      if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) continue;
+      const keysOf = (target) => {
+        const fields = Object.keys(index.key);
+        const value = getPath(target, fields[0]);
+        if (fields.length === 1 && Array.isArray(value)) return value.map(item => JSON.stringify([item]));
+        return [JSON.stringify(fields.map(field => getPath(target, field) ?? null))];
+      };
+      const own = keysOf(doc);
+      const clash = this.docs.some(other => other !== doc &&
+        (!index.partialFilterExpression || matches(other, index.partialFilterExpression)) &&
+        keysOf(other).some(key => own.includes(key)));
+      if (clash) throw duplicateKeyError(this.collectionName, index.name);
+    }
+  }
+
+  // Apply a change to a copy first so a duplicate key leaves the stored document untouched
+  write(doc, change, session) {
+    const next = clone(doc);
+    change(next);
+    const position = this.docs.indexOf(doc);
+    this.docs[position] = next;
+    try {
+      this.checkUnique(next);
+    } catch (error) {
+      this.docs[position] = doc;
+      throw error;
+    }
+    this.undoable(session, () => this.replaceById(doc._id, doc));
+    return next;
+  }
+
+  undoable(session, undo) {
+    if (session?.transaction) session.transaction.push(undo);
+  }
+
+  replaceById(id, doc) {
+    const position = this.docs.findIndex(other => isEqual(other._id, id));
+    if (position !== -1) this.docs[position] = doc;
+  }
+
+  removeById(id) {
+    this.docs = this.docs.filter(other => !isEqual(other._id, id));
+  }
+
+  filtered(filter, sort) {
+    return sortDocs(this.docs.filter(doc => matches(doc, filter)), sort);
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+    this.indexList = this.indexList.filter(index => index.name !== name);
+    this.indexList.push({ name, key, ...options });
+    return name;
+  }
+
+  async indexes() {
+    return [{ name: '_id_', key: { _id: 1 } }, ...this.indexList];
+  }
+
+  async dropIndex(name) {
+    this.indexList = this.indexList.filter(index => index.name !== name);
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => this.filtered(filter), options.projection)
+      .sort(options.sort)
+      .skip(options.skip || 0)
+      .limit(options.limit || 0);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    await roundTrip();
+    const [doc] = this.filtered(filter, options.sort);
+    return doc ? project(clone(doc), options.projection) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    await roundTrip();
+    return this.filtered(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    await roundTrip();
+    const values = this.filtered(filter).flatMap(doc => [].concat(getPath(doc, field) ?? []));
+    return values.filter((value, i) => values.findIndex(other => isEqual(other, value)) === i);
+  }
+
+  async insertOne(doc, options = {}) {
+    await roundTrip();
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.docs.push(stored);
+    try {
+      this.checkUnique(stored);
+    } catch (error) {
+      this.docs.pop();
+      throw error;
+    }
+    this.undoable(options.session, () => this.removeById(stored._id));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs, options = {}) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc, options)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  upsert(filter, update, session) {
+    const doc = { ...seedFromFilter(filter) };
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.docs.push(doc);
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      this.docs.pop();
+      throw error;
+    }
+    this.undoable(session, () => this.removeById(doc._id));
+    return doc;
+  }
+
+  update(filter, update, options, many) {
+    const targets = this.filtered(filter, options.sort);
+    const selected = many ? targets : targets.slice(0, 1);
+    if (selected.length === 0 && options.upsert) {
+      const doc = this.upsert(filter, update, options.session);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    let modifiedCount = 0;
+    selected.forEach((doc) => {
+      const next = this.write(doc, target => applyUpdate(target, update, false), options.session);
+      if (!isEqual(doc, next)) modifiedCount += 1;
+    });
+    return { acknowledged: true, matchedCount: selected.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    await roundTrip();
+    return this.update(filter, update, options, false);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    await roundTrip();
+    return this.update(filter, update, options, true);
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    await roundTrip();
+    const [doc] = this.filtered(filter);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const { insertedId } = await this.insertOne({ ...seedFromFilter(filter), ...replacement }, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+    }
+    const next = this.write(doc, (target) => {
+      Object.keys(target).filter(key => key !== '_id').forEach(key => delete target[key]);
+      Object.assign(target, clone(replacement), { _id: doc._id });
+    }, options.session);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: isEqual(doc, next) ? 0 : 1, upsertedCount: 0 };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await roundTrip();
+    const [doc] = this.filtered(filter, options.sort);
+    let value = null;
+    if (doc) {
+      const next = this.write(doc, target => applyUpdate(target, update, false), options.session);
+      value = options.returnDocument === 'after' ? next : doc;
+    } else if (options.upsert) {
+      const inserted = this.upsert(filter, update, options.session);
+      value = options.returnDocument === 'after' ? inserted : null;
+    }
+    value = value ? project(clone(value), options.projection) : null;
+    return options.includeResultMetadata === false ? value : { value, ok: 1 };
+  }
+
+  async deleteOne(filter = {}, options = {}) {
+    await roundTrip();
+    const [doc] = this.filtered(filter);
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+      this.undoable(options.session, () => this.docs.push(doc));
+    }
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}, options = {}) {
+    await roundTrip();
+    const doomed = this.filtered(filter);
+    this.docs = this.docs.filter(doc => !doomed.includes(doc));
+    this.undoable(options.session, () => this.docs.push(...doomed));
+    return { acknowledged: true, deletedCount: doomed.length };
+  }
+
+  async bulkWrite(operations, options = {}) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      if (operation.insertOne) {
+        await this.insertOne(operation.insertOne.document, options);
+        result.insertedCount += 1;
+      } else if (operation.updateOne) {
+        const { filter, update, upsert } = operation.updateOne;
+        const updated = await this.updateOne(filter, update, { upsert, session: options.session });
+        result.matchedCount += updated.matchedCount;
+        result.modifiedCount += updated.modifiedCount;
+        result.upsertedCount += updated.upsertedCount;
+      } else {
+        throw new Error(`bulkWrite ${Object.keys(operation)[0]} is not supported by the in-memory database`);
+      }
+    }
+    return result;
+  }
+
+  aggregate() {
+    throw new Error('aggregate is not supported by the in-memory database');
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+    this.transactionQueue = Promise.resolve();
+  }
+
+  // Resolves with a release function once every earlier transaction has finished
+  async lockTransactions() {
+    const previous = this.transactionQueue;
+    let release;
+    this.transactionQueue = new Promise((resolve) => { release = resolve; });
+    await previous;
+    return release;
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  async command() {
+    return { ok: 1 };
+  }
+}
+
+// Same surface runTransaction uses. Writes made with the session while the work runs are
+// undone in reverse order if it throws.
+const createMemorySession = (db) => {
+  const session = {
+    transaction: null,
+    withTransaction: async (work) => {
+      const release = await db.lockTransactions();
+      session.transaction = [];
+      try {
+        await work();
+      } catch (error) {
+        session.transaction.reverse().forEach(undo => undo());
+        throw error;
+      } finally {
+        session.transaction = null;
+        release();
+      }
+    },
+    endSession: async () => {}
+  };
+  return session;
+};
+
+module.exports = { MemoryDb, createMemorySession };
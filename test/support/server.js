@@ -0,0 +1,183 @@
+const { once } = require('events');
+const { MongoClient, ObjectId } = require('mongodb');
+const { MemoryDb, createMemorySession } = require('./memoryDb');
+
+// Tests run against MONGODB_TEST_URI when it is set - a replica set, since the server uses
+// transactions - in a throwaway database per test file. Otherwise they use the in-memory stand-in.
+const TEST_DB_URI = process.env.MONGODB_TEST_URI;
+const TEST_DB_NAME = `ticketbari_test_${process.pid}`;
+
+// The server refuses to load without a secret, and only the mock gateway takes payments here
+Object.assign(process.env, {
+  ACCESS_TOKEN_SECRET: 'test-access-token-secret',
+  MONGODB_URI: TEST_DB_URI || 'mongodb://127.0.0.1:27017',
+  CRON_SECRET: 'test-cron-secret',
+  PAYMENT_MOCK_ENABLED: 'true',
+  PAYMENT_MOCK_SECRET: 'test-mock-payment-secret',
+  NODE_ENV: 'test'
+});
+['STRIPE_SECRET_KEY', 'SSLCOMMERZ_STORE_ID', 'BKASH_APP_KEY', 'SMTP_HOST', 'SMS_PROVIDER']
+  .forEach(name => delete process.env[name]);
+
+// The test runner reads each file's results from stdout - keep the server's chatter on stderr
+console.log = console.error;
+
+let db;
+const clients = new Set();
+if (TEST_DB_URI) {
+  // Whatever database the server asks for, it gets the test one
+  const selectDb = MongoClient.prototype.db;
+  const connect = MongoClient.prototype.connect;
+  MongoClient.prototype.db = function (name) {
+    return selectDb.call(this, name === 'admin' ? name : TEST_DB_NAME);
+  };
+  MongoClient.prototype.connect = function (...args) {
+    clients.add(this);
+    return connect.apply(this, args);
+  };
+  const testClient = new MongoClient(TEST_DB_URI);
+  clients.add(testClient);
+  db = testClient.db(TEST_DB_NAME);
+} else {
+  db = new MemoryDb();
+  MongoClient.prototype.connect = async function () { return this; };
+  MongoClient.prototype.db = () => db;
+  MongoClient.prototype.startSession = () => createMemorySession(db);
+  MongoClient.prototype.close = async () => {};
+}
+
+const app = require('../../index');
+
+const CLIENT_URL = 'https://ticketbari.web.app';
+
+const startServer = async () => {
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Every call resolves to { status, body, headers } and never follows redirects
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // HTML pages and redirects stay text
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    if (TEST_DB_URI) {
+      await db.dropDatabase();
+      await Promise.all([...clients].map(client => client.close()));
+    }
+  };
+
+  return { baseUrl, request, close };
+};
+
+const registerUser = async (request, email) => {
+  const response = await request('POST', '/auth/register', {
+    body: { email, name: email.split('@')[0], password: 'correct horse battery' }
+  });
+  if (response.status !== 201) {
+    throw new Error(`Registration failed: ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+};
+
+const seedTicket = async (overrides = {}) => {
+  const ticket = {
+    title: 'Dhaka to Chattogram Express',
+    fromLocation: 'Dhaka',
+    toLocation: 'Chattogram',
+    transportType: 'bus',
+    price: 500,
+    ticketQuantity: 10,
+    departureDateTime: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString(),
+    vendorEmail: 'vendor@example.com',
+    vendorName: 'Green Line',
+    verificationStatus: 'approved',
+    createdAt: new Date().toISOString(),
+    ...overrides
+  };
+  await db.collection('tickets').insertOne(ticket);
+  return ticket;
+};
+
+// An accepted booking holding its stock, as if the vendor had just accepted it
+const seedBooking = async (ticket, userEmail, overrides = {}) => {
+  const bookingQuantity = overrides.bookingQuantity || 2;
+  const booking = {
+    ticketId: ticket._id.toString(),
+    ticketTitle: ticket.title,
+    userEmail,
+    userName: userEmail.split('@')[0],
+    vendorEmail: ticket.vendorEmail,
+    bookingQuantity,
+    subtotal: ticket.price * bookingQuantity,
+    totalPrice: ticket.price * bookingQuantity,
+    status: 'accepted',
+    reservationStatus: 'reserved',
+    acceptedAt: new Date().toISOString(),
+    holdExpiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+    createdAt: new Date().toISOString(),
+    ...overrides
+  };
+  await db.collection('bookings').insertOne(booking);
+  await db.collection('tickets').updateOne({ _id: ticket._id }, { $inc: { ticketQuantity: -bookingQuantity } });
+  return booking;
+};
+
+// Book through the API like the client does, one passenger per seat or ticket
+const requestBooking = (request, token, ticket, { seats, bookingQuantity = seats ? seats.length : 1, ...extra } = {}) =>
+  request('POST', '/bookings', {
+    token,
+    body: {
+      ticketId: ticket._id.toString(),
+      ...(seats ? { seats } : { bookingQuantity }),
+      passengers: Array.from({ length: bookingQuantity }, (_, i) => ({
+        name: `Passenger ${i + 1}`,
+        gender: 'female',
+        age: 30,
+        ...(i === 0 && { phone: '+8801700000000' })
+      })),
+      ...extra
+    }
+  });
+
+// Open a mock session and read the signed Pay / Fail links off its checkout page
+const openMockCheckout = async (request, bookingId, token) => {
+  const session = await request('POST', '/payments/sessions', { token, body: { bookingId, provider: 'mock' } });
+  if (session.status !== 200) {
+    throw new Error(`Could not open a payment session: ${JSON.stringify(session.body)}`);
+  }
+  const page = await request('GET', new URL(session.body.redirectUrl).pathname);
+  const [pay, fail] = [...page.body.matchAll(/href="([^"]+)"/g)].map(match => match[1].replace(/&amp;/g, '&'));
+  return { session: session.body, pay, fail };
+};
+
+const findById = (collection, id) => db.collection(collection).findOne({ _id: new ObjectId(String(id)) });
+
+module.exports = {
+  db,
+  CLIENT_URL,
+  startServer,
+  registerUser,
+  seedTicket,
+  seedBooking,
+  requestBooking,
+  openMockCheckout,
+  findById
+};
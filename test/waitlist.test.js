@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, startServer, registerUser, seedTicket, requestBooking, findById } = require('./support/server');
+
+let server;
+const tokens = {};
+
+before(async () => {
+  server = await startServer();
+  for (const name of ['holder', 'first', 'second', 'latecomer']) {
+    ({ token: tokens[name] } = await registerUser(server.request, `${name}@example.com`));
+  }
+});
+
+after(() => server.close());
+
+// A one-ticket departure already booked by `holder`
+const seedSoldOut = async () => {
+  const ticket = await seedTicket({ ticketQuantity: 1 });
+  const held = await requestBooking(server.request, tokens.holder, ticket);
+  assert.equal(held.status, 200);
+  return { ticket, bookingId: held.body.insertedId };
+};
+
+const joinWaitlist = async (name, ticket) => {
+  const response = await server.request('POST', '/waitlist', { token: tokens[name], body: { ticketId: ticket._id.toString() } });
+  assert.equal(response.status, 200);
+  return response.body.insertedId;
+};
+
+test('joining is only for sold-out departures', async () => {
+  const ticket = await seedTicket({ ticketQuantity: 5 });
+  const response = await server.request('POST', '/waitlist', { token: tokens.first, body: { ticketId: ticket._id.toString() } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, 'Tickets are still available, please book directly');
+});
+
+test('released stock is offered to the first in line and only they can book it', async () => {
+  const { ticket, bookingId } = await seedSoldOut();
+  const firstEntry = await joinWaitlist('first', ticket);
+  const secondEntry = await joinWaitlist('second', ticket);
+
+  const cancelled = await server.request('PATCH', `/bookings/cancel/${bookingId}`, { token: tokens.holder });
+  assert.equal(cancelled.status, 200);
+
+  const offer = await findById('waitlist', firstEntry);
+  assert.equal(offer.status, 'offered');
+  assert.equal(offer.reservedQuantity, 1);
+  assert.ok(offer.offerExpiresAt > new Date().toISOString());
+  assert.equal((await findById('waitlist', secondEntry)).status, 'waiting');
+  // The stock is set aside for the offer, not back on sale
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 0);
+  assert.equal((await requestBooking(server.request, tokens.latecomer, ticket)).status, 400);
+
+  const notOurs = await requestBooking(server.request, tokens.second, ticket, { waitlistId: firstEntry });
+  assert.equal(notOurs.status, 400);
+  assert.equal(notOurs.body.message, 'Waitlist offer is no longer valid');
+
+  const booked = await requestBooking(server.request, tokens.first, ticket, { waitlistId: firstEntry });
+  assert.equal(booked.status, 200);
+  assert.equal((await findById('waitlist', firstEntry)).status, 'booked');
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 0);
+});
+
+test('an offer that lapses passes down the line', async () => {
+  const { ticket, bookingId } = await seedSoldOut();
+  const firstEntry = await joinWaitlist('first', ticket);
+  const secondEntry = await joinWaitlist('second', ticket);
+  await server.request('PATCH', `/bookings/cancel/${bookingId}`, { token: tokens.holder });
+
+  await db.collection('waitlist').updateOne(
+    { _id: new ObjectId(firstEntry) },
+    { $set: { offerExpiresAt: new Date(Date.now() - 1000).toISOString() } }
+  );
+  const job = await server.request('GET', '/admin/jobs/reservations', { token: process.env.CRON_SECRET });
+  assert.equal(job.status, 200);
+
+  assert.equal((await findById('waitlist', firstEntry)).status, 'expired');
+  assert.equal((await findById('waitlist', secondEntry)).status, 'offered');
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 0);
+
+  const late = await requestBooking(server.request, tokens.first, ticket, { waitlistId: firstEntry });
+  assert.equal(late.status, 400);
+});
+
+test('declining an offer hands it to the next in line', async () => {
+  const { ticket, bookingId } = await seedSoldOut();
+  const firstEntry = await joinWaitlist('first', ticket);
+  await server.request('PATCH', `/bookings/cancel/${bookingId}`, { token: tokens.holder });
+
+  const declined = await server.request('DELETE', `/waitlist/${firstEntry}`, { token: tokens.first });
+  assert.equal(declined.status, 200);
+  // Nobody else is waiting, so the ticket goes back on sale
+  assert.equal((await findById('tickets', ticket._id)).ticketQuantity, 1);
+});